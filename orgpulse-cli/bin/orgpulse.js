@@ -1,6 +1,10 @@
 #!/usr/bin/env node
 import 'dotenv/config'; // Load env vars first
 import { Command } from "commander";
+import { selectProfile, resolveOrg, getSettings } from "../src/utils/config.js";
+import { selectStore } from "../src/storage/index.js";
+import { configureTls } from "../src/github/endpoints.js";
+import { disableCache, closeHttpCache } from "../src/github/cache.js";
 
 // Import command modules
 import initCommand from "../src/commands/init.js";
@@ -10,13 +14,59 @@ import reportCommand from "../src/commands/report.js";
 import exportCommand from "../src/commands/export.js";
 import topCommand from '../src/commands/top.js';
 import syncStarsCommand from '../src/commands/syncStars.js';
+import prsCommand from '../src/commands/prs.js';
+import trendCommand from '../src/commands/trend.js';
+import compareCommand from '../src/commands/compare.js';
+import configCommand from '../src/commands/config.js';
+import cacheCommand from '../src/commands/cache.js';
+import runsCommand from '../src/commands/runs.js';
+import healthCommand from '../src/commands/health.js';
+import auditCommand from '../src/commands/audit.js';
+import staleCommand from '../src/commands/stale.js';
+import busfactorCommand from '../src/commands/busfactor.js';
+import labelsCommand from '../src/commands/labels.js';
+import teamsCommand from '../src/commands/teams.js';
+import issuesCommand from '../src/commands/issues.js';
+import velocityCommand from '../src/commands/velocity.js';
+import slaCommand from '../src/commands/sla.js';
+import duplicatesCommand from '../src/commands/duplicates.js';
+import searchCommand from '../src/commands/search.js';
 
 const program = new Command();
 
 program
   .name("orgpulse")
   .description("OrgPulse CLI tool for GitHub org analytics")
-  .version("1.0.0");
+  .version("1.0.0")
+  .option("--profile <name>", "Use a named profile from .orgpulserc")
+  .option("--store <spec>", "Storage backend: mongo | mongodb://… | file:<path>")
+  .option("--no-cache", "Skip the conditional-request HTTP cache for this run");
+
+// Select the profile and store, and fill in the default org, before any command runs
+program.hook("preAction", (rootCommand, actionCommand) => {
+  try {
+    selectProfile(rootCommand.opts().profile);
+    getSettings(); // report a broken config file or MONGO_OPTIONS before the command starts
+    selectStore(rootCommand.opts().store);
+    if (rootCommand.opts().cache === false) disableCache();
+    configureTls();
+
+    if (actionCommand.options.some((o) => o.attributeName() === "org") && !actionCommand.opts().allOrgs) {
+      actionCommand.setOptionValue("org", resolveOrg(actionCommand.opts().org));
+    }
+    const orgArg = actionCommand.registeredArguments.findIndex((a) => a.name() === "org");
+    if (orgArg !== -1) {
+      actionCommand.processedArgs[orgArg] = resolveOrg(actionCommand.processedArgs[orgArg]);
+    }
+  } catch (err) {
+    actionCommand.error(`❌ ${err.message}`);
+  }
+});
+
+// Release the HTTP cache backend (and print its hit summary) once the command is done
+program.hook("postAction", async () => {
+  await closeHttpCache();
+});
 
 // Register commands
 initCommand(program);
@@ -26,5 +76,22 @@ reportCommand(program);
 exportCommand(program);
 topCommand(program);
 syncStarsCommand(program);
+prsCommand(program);
+trendCommand(program);
+compareCommand(program);
+configCommand(program);
+cacheCommand(program);
+runsCommand(program);
+healthCommand(program);
+auditCommand(program);
+staleCommand(program);
+busfactorCommand(program);
+labelsCommand(program);
+teamsCommand(program);
+issuesCommand(program);
+velocityCommand(program);
+slaCommand(program);
+duplicatesCommand(program);
+searchCommand(program);
 
 program.parseAsync(process.argv);   // <-- 🔑 use async version
@@ -1,24 +1,39 @@
-import axios from "axios";
 import fs from "fs";
+import path from "path";
 import { Table } from "console-table-printer";
+import { loadOrgRepos } from "../services/repoSource.js";
+import { getSettings } from "../utils/config.js";
 
 export default function analyzeCommand(program) {
   program
-    .command("analyze <org>")
+    .command("analyze [org]")
     .description("Analyze an organization's repos (totals, averages, languages, top repos)")
     .option("--format <type>", "Export format: json | csv | md")
     .option("--output <file>", "File to save the output")
+    .option("--source <source>", "Where to read repos from: db | api", "db")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
     .action(async (org, options) => {
       console.log(`🔍 Analyzing organization: ${org}`);
 
-      const url = `https://api.github.com/orgs/${org}/repos?per_page=100`;
-      const res = await axios.get(url);
-      const repos = res.data.map((repo) => ({
-        name: repo.name,
-        stars: repo.stargazers_count,
-        forks: repo.forks_count,
-        language: repo.language || "Unknown",
-      }));
+      const { outputFormat, outputDir } = getSettings();
+      options.format = options.format || outputFormat || undefined;
+      if (options.format && !options.output && outputDir) {
+        options.output = path.join(outputDir, `${org}-analysis.${options.format}`);
+      }
+
+      let repos = [];
+      try {
+        repos = (await loadOrgRepos(org, options.source, { includeRemoved: options.includeRemoved })).map((repo) => ({
+          name: repo.name,
+          stars: repo.stars,
+          forks: repo.forks,
+          language: repo.language,
+        }));
+      } catch (err) {
+        console.error(`❌ Failed to load repositories: ${err.message}`);
+        process.exitCode = 1;
+        return;
+      }
 
       if (repos.length === 0) {
         console.log("⚠️ No repos found.");
@@ -0,0 +1,113 @@
+import fs from "fs";
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { RepoModel } from "./db/model.js";
+import { loadPolicy, evaluatePolicy, SEVERITIES } from "../services/policy.js";
+import { toJUnit, toSarif } from "../utils/ciReports.js";
+import { repoWebUrl } from "../github/endpoints.js";
+
+const AUDIT_FORMATS = ["json", "junit", "sarif"];
+const FAIL_ON = [...SEVERITIES, "never"];
+
+// Exit codes: 0 = policy passed, 1 = violations at or above --fail-on, 2 = audit could not run
+const EXIT_VIOLATIONS = 1;
+const EXIT_ERROR = 2;
+
+function failsBuild(severity, failOn) {
+  if (failOn === "never") return false;
+  return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(failOn);
+}
+
+export default function auditCommand(program) {
+  program
+    .command("audit")
+    .description("Check stored repositories against a policy file; exits non-zero on violations")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .requiredOption("--policy <file>", "Policy file (YAML or JSON) with the rules to check")
+    .option("--fail-on <severity>", `Lowest severity that fails the audit: ${FAIL_ON.join(" | ")}`, "error")
+    .option("--format <type>", `Report format: ${AUDIT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the report")
+    .action(async (options) => {
+      let policy;
+      try {
+        if (!FAIL_ON.includes(options.failOn)) throw new Error(`--fail-on must be ${FAIL_ON.join(" | ")}`);
+        if (options.format && !AUDIT_FORMATS.includes(options.format)) {
+          throw new Error(`Unsupported format '${options.format}'. Use ${AUDIT_FORMATS.join(" | ")}`);
+        }
+        if (options.format && !options.output) throw new Error("Please provide --output <file> to save the report");
+        policy = loadPolicy(options.policy);
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = EXIT_ERROR;
+        return;
+      }
+
+      await openStore();
+      try {
+        const repos = await RepoModel.findByOrg(options.org, { limit: 0 });
+        if (!repos.length) {
+          console.error(`❌ No repositories found for org ${options.org}. Run "orgpulse fetch ${options.org}" first.`);
+          process.exitCode = EXIT_ERROR;
+          return;
+        }
+
+        const results = evaluatePolicy(policy, repos).map((r) => ({
+          ...r,
+          failing: !r.passed && failsBuild(r.severity, options.failOn),
+        }));
+        const violations = results.filter((r) => !r.passed);
+        const failing = violations.filter((r) => r.failing);
+        const count = (severity) => violations.filter((r) => r.severity === severity).length;
+
+        if (options.format) {
+          let content;
+          if (options.format === "junit") {
+            content = toJUnit(`orgpulse audit ${options.org}`, policy.rules, results);
+          } else if (options.format === "sarif") {
+            content = toSarif("orgpulse", program.version(), policy.rules, results, (repo) => repoWebUrl(repo.org, repo.name));
+          } else {
+            content = JSON.stringify({
+              org: options.org,
+              policy: policy.file,
+              passed: !failing.length,
+              rules: policy.rules,
+              violations: violations.map((r) => ({ rule: r.rule.id, severity: r.severity, repo: r.repo.name, message: r.message })),
+            }, null, 2);
+          }
+          fs.writeFileSync(options.output, content);
+          console.log(`✅ Audit report exported to ${options.output}`);
+        } else if (violations.length) {
+          const table = new Table({
+            columns: [
+              { name: "repo", title: "Repo", alignment: "left" },
+              { name: "rule", title: "Rule", alignment: "left" },
+              { name: "severity", title: "Severity", alignment: "left" },
+              { name: "message", title: "Violation", alignment: "left" },
+            ],
+          });
+          violations
+            .sort((a, b) => a.repo.name.localeCompare(b.repo.name))
+            .forEach((r) =>
+              table.addRow(
+                { repo: r.repo.name, rule: r.rule.id, severity: r.severity, message: r.message },
+                { color: r.severity === "error" ? "red" : "yellow" }
+              )
+            );
+          table.printTable();
+        }
+
+        console.log(`\n🧾 Audited ${repos.length} repos of ${options.org} against ${policy.rules.length} rule(s): ${count("error")} error(s), ${count("warning")} warning(s)`);
+        if (failing.length) {
+          console.log(`❌ Policy failed: ${failing.length} violation(s) at --fail-on ${options.failOn}`);
+          process.exitCode = EXIT_VIOLATIONS;
+        } else {
+          console.log("✅ Policy passed");
+        }
+      } catch (err) {
+        console.error("❌ Error running audit:", err.message);
+        process.exitCode = EXIT_ERROR;
+      } finally {
+        await closeStore();
+      }
+    });
+}
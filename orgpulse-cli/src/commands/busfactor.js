@@ -0,0 +1,172 @@
+import { InvalidArgumentError } from "commander";
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 180;
+
+// Linked GitHub account when there is one, otherwise the git author name
+function authorOf(commit) {
+  return commit.author || commit.authorName || "unknown";
+}
+
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  if (!Number.isInteger(days) || days <= 0) throw new InvalidArgumentError("Expected a positive number of days.");
+  return days;
+}
+
+function parseCount(value) {
+  const count = parseInt(value, 10);
+  if (!Number.isInteger(count) || count < 0) throw new InvalidArgumentError("Expected a number >= 0.");
+  return count;
+}
+
+function isBot(author) {
+  return /\[bot\]$|-bot$/i.test(author);
+}
+
+/**
+ * Contributor concentration of one repo: the top contributor's share and the
+ * bus factor, i.e. the fewest people who together made more than half of the commits.
+ */
+function summarizeRepo(repo, commits, lastSeen, now) {
+  const counts = {};
+  commits.forEach((c) => {
+    const author = authorOf(c);
+    counts[author] = (counts[author] || 0) + 1;
+  });
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+  let covered = 0;
+  const keyPeople = [];
+  for (const [author, n] of ranked) {
+    keyPeople.push(author);
+    covered += n;
+    if (covered * 2 > commits.length) break;
+  }
+
+  const [topAuthor, topCount] = ranked[0];
+  return {
+    repo,
+    commits: commits.length,
+    contributors: ranked.length,
+    topContributor: topAuthor,
+    topShare: Math.round((topCount / commits.length) * 1000) / 10,
+    busFactor: keyPeople.length,
+    keyPeople: keyPeople.map((author) => ({
+      author,
+      commits: counts[author],
+      lastCommitAt: lastSeen[author],
+      daysSinceLastCommit: Math.floor((now - new Date(lastSeen[author]).getTime()) / DAY_MS),
+    })),
+    singlePerson: keyPeople.length === 1,
+  };
+}
+
+export default function busfactorCommand(program) {
+  program
+    .command("busfactor")
+    .description("Show per-repo contributor concentration and flag repos that depend on one person")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--days <n>", "Only count commits from the last n days", parseDays, DEFAULT_WINDOW_DAYS)
+    .option("--min-commits <n>", "Skip repos with fewer commits in the window", parseCount, 5)
+    .option("--include-bots", "Count commits of bot accounts")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const db = await openStore();
+      try {
+        const now = Date.now();
+        const since = new Date(now - options.days * DAY_MS).toISOString();
+        const removed = options.includeRemoved
+          ? new Set()
+          : new Set((await db.collection("repos").find({ org: options.org, removed: true }).toArray()).map((r) => `${r.org}/${r.name}`));
+        const commits = (await db.collection("commits")
+          .find(
+            { repo: { $regex: `^${options.org}/` }, authoredAt: { $gte: since } },
+            { projection: { repo: 1, author: 1, authorName: 1, authoredAt: 1 } }
+          )
+          .toArray())
+          .filter((c) => !removed.has(c.repo) && (options.includeBots || !isBot(authorOf(c))));
+
+        if (!commits.length) {
+          console.log(`⚠️ No commits found for org ${options.org} in the last ${options.days} days. Run fetch without --skip-commits first.`);
+          return;
+        }
+
+        // Last commit of each person anywhere in the org
+        const lastSeen = {};
+        const byRepo = {};
+        commits.forEach((c) => {
+          const author = authorOf(c);
+          if (!lastSeen[author] || c.authoredAt > lastSeen[author]) lastSeen[author] = c.authoredAt;
+          (byRepo[c.repo] = byRepo[c.repo] || []).push(c);
+        });
+
+        const rows = Object.entries(byRepo)
+          .filter(([, list]) => list.length >= options.minCommits)
+          .map(([repo, list]) => summarizeRepo(repo, list, lastSeen, now))
+          .sort((a, b) => b.singlePerson - a.singlePerson || b.topShare - a.topShare);
+        const flagged = rows.filter((r) => r.singlePerson);
+        const keyPeopleText = (r) => r.keyPeople.map((p) => `${p.author} (${p.daysSinceLastCommit}d ago)`).join(", ");
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🚌 Bus Factor: ${options.org}`,
+            headers: ["Repo", "Commits", "Contributors", "Top contributor", "Top share %", "Bus factor", "Key people (last commit)", "Single person"],
+            rows: rows.map((r) => [r.repo, r.commits, r.contributors, r.topContributor, r.topShare, r.busFactor, keyPeopleText(r), r.singlePerson ? "yes" : "no"]),
+            data: { org: options.org, days: options.days, repos: rows },
+          });
+          console.log(`✅ Bus factor report exported to ${file}`);
+          return;
+        }
+
+        console.log(`\n🚌 Contributor concentration for ${options.org} (commits of the last ${options.days} days)`);
+        const table = new Table({
+          columns: [
+            { name: "repo", title: "Repo", alignment: "left" },
+            { name: "commits", title: "Commits", alignment: "right" },
+            { name: "contributors", title: "People", alignment: "right" },
+            { name: "top", title: "Top contributor", alignment: "left" },
+            { name: "share", title: "Top share", alignment: "right" },
+            { name: "busFactor", title: "Bus factor", alignment: "right" },
+            { name: "keyPeople", title: "Key people (last commit)", alignment: "left" },
+          ],
+        });
+        rows.forEach((r) =>
+          table.addRow(
+            {
+              repo: r.repo,
+              commits: r.commits,
+              contributors: r.contributors,
+              top: r.topContributor,
+              share: `${r.topShare}%`,
+              busFactor: r.busFactor,
+              keyPeople: keyPeopleText(r),
+            },
+            { color: r.singlePerson ? "red" : undefined }
+          )
+        );
+        table.printTable();
+
+        if (flagged.length) {
+          console.log(`\n⚠️ ${flagged.length} repo(s) depend on a single person for more than half of their commits:`);
+          flagged.forEach((r) => console.log(`  ${r.repo}: ${r.topContributor} (${r.topShare}%)`));
+        } else {
+          console.log("\n✅ No repo depends on a single person");
+        }
+      } catch (err) {
+        console.error("❌ Error computing bus factor:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
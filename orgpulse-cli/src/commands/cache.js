@@ -0,0 +1,48 @@
+import { openCacheBackend } from '../github/cache.js';
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Open the backend, run `fn`, and always release it again
+async function withCache(fn) {
+  let cache;
+  try {
+    cache = await openCacheBackend();
+    await fn(cache);
+  } catch (err) {
+    console.error('❌ Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (cache) await cache.close();
+  }
+}
+
+export default function cacheCommand(program) {
+  const cache = program
+    .command('cache')
+    .description('Inspect or clear the conditional-request (ETag) HTTP cache');
+
+  cache
+    .command('stats')
+    .description('Show cached responses, their size and how many requests were answered with 304')
+    .action(() => withCache(async (backend) => {
+      const stats = await backend.stats();
+      console.log(`💾 HTTP cache (${backend.type})`);
+      console.log(`Entries:       ${stats.entries}`);
+      console.log(`Size:          ${formatBytes(stats.bytes)}`);
+      console.log(`304 hits:      ${stats.hits}`);
+      console.log(`Oldest entry:  ${stats.oldest ? stats.oldest.toISOString() : '-'}`);
+      console.log(`Newest entry:  ${stats.newest ? stats.newest.toISOString() : '-'}`);
+    }));
+
+  cache
+    .command('clear')
+    .description('Delete every cached response')
+    .action(() => withCache(async (backend) => {
+      const deleted = await backend.clear();
+      console.log(`🧹 Cleared ${deleted} cached response(s) from the ${backend.type} cache`);
+    }));
+}
@@ -0,0 +1,167 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore, mongoOnlyError } from "../storage/index.js";
+import { median } from "../utils/stats.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { getSettings } from "../utils/config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_WINDOW_DAYS = 90;
+const TOP_LANGUAGES = 3;
+
+// Rows of the side-by-side table: [label, key, formatter]
+const METRICS = [
+  ["Repos", "totalRepos"],
+  ["Total stars", "totalStars"],
+  ["Avg stars", "avgStars"],
+  ["Median stars", "medianStars"],
+  ["Total forks", "totalForks"],
+  ["Avg forks", "avgForks"],
+  ["Median forks", "medianForks"],
+  ["Top languages", "topLanguages", (v) => v.map((l) => `${l.language} ${l.share}%`).join(", ")],
+  ["Open issues (stored)", "openIssues"],
+  ["Open issues / repo", "openIssuesPerRepo"],
+  ["Avg open issue age (days)", "avgOpenIssueAgeDays"],
+  ["Median days since push", "medianDaysSincePush"],
+  [`Pushed in last ${ACTIVE_WINDOW_DAYS}d`, "activeShare", (v) => `${v}%`],
+  ["Archived", "archivedShare", (v) => `${v}%`],
+];
+
+function pct(part, total) {
+  return total ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+async function summarizeOrg(db, org, { includeRemoved = false } = {}) {
+  const query = includeRemoved ? { org } : { org, removed: { $ne: true } };
+  const repos = await db.collection("repos")
+    .find(query, { projection: { name: 1, stars: 1, forks: 1, language: 1, pushedAt: 1, isArchived: 1 } })
+    .toArray();
+  if (!repos.length) return null;
+
+  const now = Date.now();
+  const [issueStats] = await db.collection("issues").aggregate([
+    { $match: { repo: { $in: repos.map((r) => `${org}/${r.name}`) }, state: "open" } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        avgAgeMs: { $avg: { $subtract: [new Date(now), { $toDate: "$createdAt" }] } },
+      },
+    },
+  ]).toArray();
+
+  const totalRepos = repos.length;
+  const totalStars = repos.reduce((sum, r) => sum + (r.stars || 0), 0);
+  const totalForks = repos.reduce((sum, r) => sum + (r.forks || 0), 0);
+
+  const langCount = {};
+  repos.forEach((r) => {
+    const lang = r.language || "Unknown";
+    langCount[lang] = (langCount[lang] || 0) + 1;
+  });
+  const languages = Object.entries(langCount)
+    .sort((a, b) => b[1] - a[1])
+    .map(([language, count]) => ({ language, count, share: pct(count, totalRepos) }));
+
+  const daysSincePush = repos
+    .filter((r) => r.pushedAt)
+    .map((r) => (now - new Date(r.pushedAt).getTime()) / DAY_MS);
+  const openIssues = issueStats?.count || 0;
+
+  return {
+    org,
+    totalRepos,
+    totalStars,
+    avgStars: Math.round(totalStars / totalRepos),
+    medianStars: median(repos.map((r) => r.stars || 0)),
+    totalForks,
+    avgForks: Math.round(totalForks / totalRepos),
+    medianForks: median(repos.map((r) => r.forks || 0)),
+    languages,
+    topLanguages: languages.slice(0, TOP_LANGUAGES),
+    openIssues,
+    openIssuesPerRepo: Math.round((openIssues / totalRepos) * 10) / 10,
+    avgOpenIssueAgeDays: issueStats ? Math.round(issueStats.avgAgeMs / DAY_MS) : null,
+    medianDaysSincePush: daysSincePush.length ? Math.round(median(daysSincePush)) : null,
+    activeShare: pct(daysSincePush.filter((d) => d <= ACTIVE_WINDOW_DAYS).length, totalRepos),
+    archivedShare: pct(repos.filter((r) => r.isArchived).length, totalRepos),
+  };
+}
+
+function toRows(summaries) {
+  return METRICS.map(([label, key, format]) => [
+    label,
+    ...summaries.map((s) => (s[key] === null || s[key] === undefined ? "-" : format ? format(s[key]) : s[key])),
+  ]);
+}
+
+export default function compareCommand(program) {
+  program
+    .command("compare [orgs...]")
+    .description("Compare stored metrics of two or more orgs side by side (defaults to the profile's orgs)")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (orgs, options) => {
+      if (!orgs.length) orgs = getSettings().orgs;
+      if (orgs.length < 2) {
+        console.log("⚠️ Please provide at least two orgs to compare.");
+        return;
+      }
+
+      const unsupported = mongoOnlyError("compare", "an aggregation pipeline");
+      if (unsupported) {
+        console.error(`❌ ${unsupported}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const summaries = [];
+        for (const org of orgs) {
+          const summary = await summarizeOrg(db, org, { includeRemoved: options.includeRemoved });
+          if (!summary) {
+            console.log(`⚠️ No stored repositories for ${org}, skipping. Run "orgpulse fetch ${org}" first.`);
+            continue;
+          }
+          summaries.push(summary);
+        }
+
+        if (summaries.length < 2) {
+          console.log("⚠️ Need stored data for at least two orgs to compare.");
+          return;
+        }
+
+        const headers = ["Metric", ...summaries.map((s) => s.org)];
+        const rows = toRows(summaries);
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `📊 Org Comparison: ${summaries.map((s) => s.org).join(" vs ")}`,
+            headers,
+            rows,
+            data: summaries,
+          });
+          console.log(`✅ Comparison exported to ${file}`);
+          return;
+        }
+
+        const table = new Table({
+          columns: headers.map((title, i) => ({ name: `c${i}`, title, alignment: i === 0 ? "left" : "right" })),
+        });
+        rows.forEach((row) =>
+          table.addRow(Object.fromEntries(row.map((v, i) => [`c${i}`, v])))
+        );
+        table.printTable();
+      } catch (err) {
+        console.error("❌ Error comparing orgs:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
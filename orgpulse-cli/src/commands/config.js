@@ -0,0 +1,97 @@
+import {
+  loadConfig,
+  saveConfig,
+  getSettings,
+  activeProfileName,
+  parseProfileValue,
+  PROFILE_KEYS
+} from '../utils/config.js';
+
+const SECRET_KEYS = ['githubToken', 'githubTokens', 'githubAppPrivateKey'];
+// Connection strings whose userinfo (user:password@) is hidden; host and database stay readable
+const URI_KEYS = ['mongoUri', 'redisUrl'];
+
+function mask(key, value) {
+  if (URI_KEYS.includes(key) && value) return String(value).replace(/^([a-z][\w+.-]*:\/\/)[^@/]+@/i, '$1****@');
+  if (!SECRET_KEYS.includes(key) || !value) return value;
+  if (Array.isArray(value)) return value.map(v => mask(key, v));
+  if (key === 'githubAppPrivateKey' && String(value).includes('BEGIN')) return '(PEM key)';
+  return `${String(value).slice(0, 4)}…${String(value).slice(-4)}`;
+}
+
+function printValue(key, value) {
+  const shown = mask(key, value);
+  console.log(`${key} = ${typeof shown === 'object' && shown !== null ? JSON.stringify(shown) : shown ?? ''}`);
+}
+
+export default function configCommand(program) {
+  const config = program
+    .command('config')
+    .description('Manage .orgpulserc profiles (token, Mongo URI, default orgs, fetch limits, output defaults)');
+
+  config
+    .command('list')
+    .description('List profiles and mark the active one')
+    .action(() => {
+      const cfg = loadConfig();
+      const active = activeProfileName(cfg);
+      const names = Object.keys(cfg.profiles);
+      console.log(`📁 Config file: ${cfg.file}`);
+      if (!names.length) {
+        console.log('⚠️ No profiles yet. Create one with: orgpulse config use <name>');
+        return;
+      }
+      names.forEach(name => {
+        const keys = Object.keys(cfg.profiles[name]).join(', ') || '(empty)';
+        console.log(`${name === active ? '👉' : '  '} ${name}: ${keys}`);
+      });
+    });
+
+  config
+    .command('get [key]')
+    .description('Show resolved settings of the active profile (or a single key)')
+    .action((key) => {
+      const settings = getSettings();
+      if (key) {
+        if (!(key in PROFILE_KEYS)) {
+          console.error(`❌ Unknown config key '${key}'. Valid keys: ${Object.keys(PROFILE_KEYS).join(', ')}`);
+          process.exitCode = 1;
+          return;
+        }
+        printValue(key, settings[key]);
+        return;
+      }
+      console.log(`👤 Profile: ${settings.profile}`);
+      Object.keys(PROFILE_KEYS).forEach(k => printValue(k, settings[k]));
+    });
+
+  config
+    .command('set <key> <value>')
+    .description(`Set a key on the active profile (${Object.keys(PROFILE_KEYS).join(', ')})`)
+    .action((key, value) => {
+      try {
+        const cfg = loadConfig();
+        const name = activeProfileName(cfg);
+        cfg.profiles[name] = { ...cfg.profiles[name], [key]: parseProfileValue(key, value) };
+        saveConfig(cfg);
+        console.log(`✅ ${name}.${key} updated in ${cfg.file}`);
+      } catch (err) {
+        console.error('❌ Failed to set config:', err.message);
+        process.exitCode = 1;
+      }
+    });
+
+  config
+    .command('use <profile>')
+    .description('Make a profile the default (created if it does not exist)')
+    .action((profile) => {
+      const cfg = loadConfig();
+      if (!cfg.profiles[profile]) {
+        cfg.profiles[profile] = {};
+        console.log(`✨ Created profile '${profile}'`);
+      }
+      cfg.current = profile;
+      saveConfig(cfg);
+      console.log(`✅ Now using profile '${profile}' (${cfg.file})`);
+    });
+}
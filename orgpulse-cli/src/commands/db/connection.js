@@ -1,4 +1,5 @@
 import { MongoClient } from 'mongodb';
+import { getSettings } from '../../utils/config.js';
 
 const ConnectionState = {
   DISCONNECTED: 0,
@@ -38,16 +39,17 @@ export async function connectToMongo() {
   }
 
   connectionState = ConnectionState.CONNECTING;
-  const mongoUri = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/orgpulse';
+  const settings = getSettings();
+  const mongoUri = settings.mongoUri || 'mongodb://127.0.0.1:27017/orgpulse';
 
   try {
     mongoClientInstance = new MongoClient(mongoUri, {
       ...DEFAULT_OPTIONS,
-      ...(process.env.MONGO_OPTIONS ? JSON.parse(process.env.MONGO_OPTIONS) : {})
+      ...settings.mongoOptions
     });
     
     await mongoClientInstance.connect();
-    databaseInstance = mongoClientInstance.db('orgpulse');
+    databaseInstance = mongoClientInstance.db(settings.dbName);
     connectionState = ConnectionState.CONNECTED;
     
     mongoClientInstance.on('serverClosed', cleanup);
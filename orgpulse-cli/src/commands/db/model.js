@@ -1,5 +1,5 @@
 // db/model.js
-import { getDb } from './connection.js';
+import { getStore } from '../../storage/index.js';
 
 // Constants
 const MAX_RETRY_ATTEMPTS = 3;
@@ -10,7 +10,7 @@ const RETRY_DELAY_MS = 1000;
  * =================================================================================== */
 export class RepoModel {
   static getCollection() {
-    return getDb().collection('repos');
+    return getStore().collection('repos');
   }
 
   /** Idempotent index creation with retries */
@@ -24,7 +24,13 @@ export class RepoModel {
           { key: { org: 1, name: 1 }, name: 'org_name_unique', unique: true },
           { key: { org: 1, stars: -1 }, name: 'org_stars_desc' },
           { key: { pushedAt: -1 }, name: 'pushedAt_desc' },
-          { key: { topics: 1 }, name: 'topics_search', sparse: true }
+          { key: { topics: 1 }, name: 'topics_search', sparse: true },
+          { key: { nodeId: 1 }, name: 'nodeId', sparse: true },
+          {
+            key: { name: 'text', description: 'text', topics: 'text' },
+            name: 'repo_text',
+            weights: { name: 10, topics: 5, description: 1 }
+          }
         ]);
 
         await this._applySchemaValidation();
@@ -72,9 +78,11 @@ export class RepoModel {
     return this.getCollection().updateOne(filter, update, { upsert: true });
   }
 
-  static async findByOrg(org, { sortBy = 'stars', limit = 10, skip = 0 } = {}) {
+  /** Repos of an org; ones `fetch` marked as removed (deleted or transferred away) only with `includeRemoved` */
+  static async findByOrg(org, { sortBy = 'stars', limit = 10, skip = 0, includeRemoved = false } = {}) {
     const sortField = sortBy === 'issues' ? 'openIssues' : 'stars';
-    return this.getCollection().find({ org }).sort({ [sortField]: -1 }).skip(skip).limit(limit).toArray();
+    const filter = includeRemoved ? { org } : { org, removed: { $ne: true } };
+    return this.getCollection().find(filter).sort({ [sortField]: -1 }).skip(skip).limit(limit).toArray();
   }
 
   static async updateStats(org, name, updates) {
@@ -90,7 +98,7 @@ export class RepoModel {
  * =================================================================================== */
 export class IssueModel {
   static getCollection() {
-    return getDb().collection('issues');
+    return getStore().collection('issues');
   }
 
   static async createIndexes() {
@@ -99,7 +107,8 @@ export class IssueModel {
       { key: { repo: 1, number: 1 }, name: 'repo_number_unique', unique: true },
       { key: { repo: 1, state: 1 }, name: 'repo_state' },
       { key: { createdAt: -1 }, name: 'createdAt_desc' },
-      { key: { labels: 1 }, name: 'labels_search', sparse: true }
+      { key: { labels: 1 }, name: 'labels_search', sparse: true },
+      { key: { title: 'text', body: 'text' }, name: 'issue_text', weights: { title: 5, body: 1 } }
     ]);
     console.log('✓ Issue indexes applied');
   }
@@ -129,12 +138,172 @@ export class IssueModel {
   }
 }
 
+/* =====================================================================================
+ * Pull Request Model
+ * =================================================================================== */
+export class PullRequestModel {
+  static getCollection() {
+    return getStore().collection('pull_requests');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { repo: 1, number: 1 }, name: 'repo_number_unique', unique: true },
+      { key: { repo: 1, state: 1 }, name: 'repo_state' },
+      { key: { author: 1 }, name: 'author' },
+      { key: { createdAt: -1 }, name: 'createdAt_desc' }
+    ]);
+    console.log('✓ Pull request indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Issue Comment Model (filled by `fetch --with-comments`)
+ * =================================================================================== */
+export class IssueCommentModel {
+  static getCollection() {
+    return getStore().collection('issue_comments');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { commentId: 1 }, name: 'commentId_unique', unique: true },
+      { key: { repo: 1, issueNumber: 1, createdAt: 1 }, name: 'repo_issue_createdAt' },
+      { key: { author: 1 }, name: 'author' }
+    ]);
+    console.log('✓ Issue comment indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Commit Model (default-branch authorship, used by `busfactor`)
+ * =================================================================================== */
+export class CommitModel {
+  static getCollection() {
+    return getStore().collection('commits');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { repo: 1, oid: 1 }, name: 'repo_oid_unique', unique: true },
+      { key: { repo: 1, authoredAt: -1 }, name: 'repo_authoredAt' },
+      { key: { author: 1, authoredAt: -1 }, name: 'author_authoredAt' }
+    ]);
+    console.log('✓ Commit indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Member, Team and Repo Access Models (filled by the `fetch` members phase)
+ * =================================================================================== */
+export class MemberModel {
+  static getCollection() {
+    return getStore().collection('members');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { org: 1, login: 1 }, name: 'org_login_unique', unique: true }
+    ]);
+    console.log('✓ Member indexes applied');
+  }
+}
+
+export class TeamModel {
+  static getCollection() {
+    return getStore().collection('teams');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { org: 1, slug: 1 }, name: 'org_slug_unique', unique: true },
+      { key: { 'members.login': 1 }, name: 'members_login' }
+    ]);
+    console.log('✓ Team indexes applied');
+  }
+}
+
+export class RepoAccessModel {
+  static getCollection() {
+    return getStore().collection('repo_access');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { org: 1, repo: 1, team: 1, login: 1 }, name: 'org_repo_grantee_unique', unique: true },
+      { key: { org: 1, permission: 1 }, name: 'org_permission' }
+    ]);
+    console.log('✓ Repo access indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Repository Snapshot Model (append-only star/fork history)
+ * =================================================================================== */
+export class RepoSnapshotModel {
+  static getCollection() {
+    return getStore().collection('repo_snapshots');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { org: 1, name: 1, capturedAt: 1 }, name: 'org_name_capturedAt' },
+      { key: { org: 1, capturedAt: 1 }, name: 'org_capturedAt' }
+    ]);
+    console.log('✓ Repo snapshot indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Sync State Model (incremental fetch watermarks, see src/db/syncState.js)
+ * =================================================================================== */
+export class SyncStateModel {
+  static getCollection() {
+    return getStore().collection('sync_state');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { org: 1, repo: 1 }, name: 'org_repo_unique', unique: true }
+    ]);
+    console.log('✓ Sync state indexes applied');
+  }
+}
+
+/* =====================================================================================
+ * Fetch Run Model (resumable fetch runs, see src/db/fetchRuns.js)
+ * =================================================================================== */
+export class FetchRunModel {
+  static getCollection() {
+    return getStore().collection('fetch_runs');
+  }
+
+  static async createIndexes() {
+    const col = this.getCollection();
+    await col.createIndexes([
+      { key: { runId: 1 }, name: 'runId_unique', unique: true },
+      { key: { org: 1, startedAt: -1 }, name: 'org_startedAt' },
+      // At most one running fetch per org
+      { key: { org: 1 }, name: 'org_running_unique', unique: true, partialFilterExpression: { status: 'running' } }
+    ]);
+    console.log('✓ Fetch run indexes applied');
+  }
+}
+
 /* =====================================================================================
  * Initialization
  * =================================================================================== */
 export async function initializeDatabase() {
   try {
-    const db = getDb();
+    const db = getStore();
     if (!db) throw new Error('Database connection not available');
 
     await db.command({ ping: 1 });
@@ -142,6 +311,15 @@ export async function initializeDatabase() {
 
     await RepoModel.createIndexes();
     await IssueModel.createIndexes();
+    await IssueCommentModel.createIndexes();
+    await PullRequestModel.createIndexes();
+    await CommitModel.createIndexes();
+    await MemberModel.createIndexes();
+    await TeamModel.createIndexes();
+    await RepoAccessModel.createIndexes();
+    await RepoSnapshotModel.createIndexes();
+    await SyncStateModel.createIndexes();
+    await FetchRunModel.createIndexes();
 
     console.log('🎉 Database fully initialized and ready!');
     return true;
@@ -190,7 +368,7 @@ export function mapIssueFromGitHub(apiIssue, repo) {
  * =================================================================================== */
 export async function checkDatabaseHealth() {
   try {
-    const db = getDb();
+    const db = getStore();
     if (!db) return false;
 
     await db.command({ ping: 1 });
@@ -0,0 +1,113 @@
+import { InvalidArgumentError } from "commander";
+import { openStore, closeStore } from "../storage/index.js";
+import { similarPairs, clusterPairs } from "../services/similarity.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { repoWebUrl } from "../github/endpoints.js";
+
+const STATES = ["open", "closed", "all"];
+
+function parseThreshold(value) {
+  const threshold = Number(value);
+  if (!(threshold > 0 && threshold <= 1)) throw new InvalidArgumentError("Expected a similarity between 0 and 1.");
+  return threshold;
+}
+
+function parseSize(value) {
+  const size = parseInt(value, 10);
+  if (!Number.isInteger(size) || size < 2) throw new InvalidArgumentError("Expected a number >= 2.");
+  return size;
+}
+
+function issueUrl(repo, number) {
+  const [org, name] = repo.split("/");
+  return `${repoWebUrl(org, name)}/issues/${number}`;
+}
+
+export default function duplicatesCommand(program) {
+  program
+    .command("duplicates")
+    .description("Find likely duplicate issues across the org by title (and body) similarity")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--state <state>", `Issues to compare: ${STATES.join(" | ")}`, "open")
+    .option("--threshold <n>", "Minimum cosine similarity (0-1) for two issues to be paired", parseThreshold, 0.6)
+    .option("--max-cluster <n>", "Largest cluster to build; weaker matches beyond it are dropped", parseSize, 10)
+    .option("--cross-repo", "Only pair issues from different repositories")
+    .option("--limit <number>", "Number of clusters to display", "20")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      if (!STATES.includes(options.state)) {
+        console.error(`❌ Unknown --state '${options.state}'. Use ${STATES.join(" | ")}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const query = { repo: { $regex: `^${options.org}/` } };
+        if (options.state !== "all") query.state = options.state;
+        const issues = await db.collection("issues")
+          .find(query, { projection: { repo: 1, number: 1, title: 1, body: 1, state: 1, createdAt: 1 } })
+          .toArray();
+        if (issues.length < 2) {
+          console.log(`⚠️ Not enough ${options.state === "all" ? "" : `${options.state} `}issues stored for org ${options.org}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+
+        const accept = options.crossRepo ? (a, b) => issues[a].repo !== issues[b].repo : undefined;
+        const clusters = clusterPairs(similarPairs(issues, options.threshold, accept), options.maxCluster).map((c) => ({
+          similarity: Math.round(c.score * 100) / 100,
+          repos: new Set(c.members.map((m) => issues[m.index].repo)).size,
+          issues: c.members.map((m) => {
+            const i = issues[m.index];
+            return {
+              repo: i.repo,
+              number: i.number,
+              title: i.title,
+              state: i.state,
+              similarity: Math.round(m.score * 100) / 100,
+              url: issueUrl(i.repo, i.number),
+            };
+          }),
+        }));
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🪞 Likely Duplicate Issues: ${options.org}`,
+            headers: ["Cluster", "Cluster similarity", "Issue", "Similarity", "State", "Title", "URL"],
+            rows: clusters.flatMap((c, n) =>
+              c.issues.map((i) => [n + 1, c.similarity, `${i.repo}#${i.number}`, i.similarity, i.state, i.title, i.url])
+            ),
+            data: { org: options.org, state: options.state, threshold: options.threshold, maxCluster: options.maxCluster, clusters },
+          });
+          console.log(`✅ ${clusters.length} duplicate cluster(s) exported to ${file}`);
+          return;
+        }
+
+        const withBodies = issues.filter((i) => i.body).length;
+        console.log(`\n🪞 Compared ${issues.length} ${options.state === "all" ? "" : `${options.state} `}issues of ${options.org} by title${withBodies ? ` (${withBodies} with body)` : ""}, similarity >= ${options.threshold}`);
+        if (!clusters.length) {
+          console.log("✅ No likely duplicates found");
+          return;
+        }
+
+        const limit = parseInt(options.limit, 10);
+        clusters.slice(0, limit).forEach((c, n) => {
+          console.log(`\n${n + 1}) ${c.issues.length} issues in ${c.repos} repo(s), similarity >= ${c.similarity.toFixed(2)}`);
+          c.issues.forEach((i) =>
+            console.log(`   ${i.similarity.toFixed(2)}  ${i.repo}#${i.number} [${i.state}] ${i.title}\n         ${i.url}`)
+          );
+        });
+        if (clusters.length > limit) console.log(`\n  … ${clusters.length - limit} more cluster(s) (raise --limit or export)`);
+      } catch (err) {
+        console.error("❌ Error finding duplicates:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -1,21 +1,20 @@
-import { connectToMongo, closeConnection } from '../db/connection.js';
+import { openStore, closeStore } from '../storage/index.js';
+import { RepoModel } from './db/model.js';
 import { writeFileSync } from 'fs';
 
 export default function exportCommand(program) {
   program
     .command('export')
     .description('Export repository data to CSV')
-    .requiredOption('--org <org>', 'GitHub organization name')
+    .option('--org <org>', 'GitHub organization name (defaults to the active profile org)')
     .requiredOption('--out <path>', 'Output CSV file path')
+    .option('--include-removed', 'Include repos that were deleted or transferred out of the org')
     .action(async (options) => {
-      const db = await connectToMongo();
+      await openStore();
       try {
         console.log(`\nExporting ${options.org} repos to ${options.out}...`);
 
-        const repos = await db.collection('repos')
-          .find({ org: options.org })
-          .sort({ stars: -1 })
-          .toArray();
+        const repos = await RepoModel.findByOrg(options.org, { limit: 0, includeRemoved: options.includeRemoved });
 
         if (!repos.length) {
           console.log(`⚠️ No repositories found for org ${options.org}`);
@@ -23,7 +22,7 @@ export default function exportCommand(program) {
         }
 
         // CSV header
-        let csv = 'name,stars,forks,openIssues,pushedAt,language\n';
+        let csv = 'name,stars,forks,openIssues,pushedAt,language' + (options.includeRemoved ? ',removedAt' : '') + '\n';
 
         repos.forEach(repo => {
           const name = `"${(repo.name || '').replace(/"/g, '""').trim()}"`;
@@ -33,7 +32,10 @@ export default function exportCommand(program) {
           const pushedAt = repo.pushedAt ? new Date(repo.pushedAt).toISOString() : '';
           const language = `"${(repo.language || '').replace(/"/g, '""').trim()}"`;
 
-          csv += [name, stars, forks, openIssues, pushedAt, language].join(',') + '\n';
+          const row = [name, stars, forks, openIssues, pushedAt, language];
+          if (options.includeRemoved) row.push(repo.removedAt ? new Date(repo.removedAt).toISOString() : '');
+
+          csv += row.join(',') + '\n';
         });
 
         writeFileSync(options.out, csv);
@@ -42,7 +44,7 @@ export default function exportCommand(program) {
         console.error('\n❌ Export failed:', error.message);
         process.exit(1);
       } finally {
-        await closeConnection();
+        await closeStore();
       }
     });
 }
@@ -1,13 +1,22 @@
 // src/commands/fetch.js
-import { Octokit } from "octokit";
-import { connectToMongo, closeConnection } from "../db/connection.js";
-import fs from "fs";
-import path from "path";
+import { openStore, closeStore, currentStoreSpec } from "../storage/index.js";
+import { recordSnapshots } from "../db/snapshots.js";
+import { SyncState } from "../db/syncState.js";
+import { FetchRun, FetchRunCancelledError } from "../db/fetchRuns.js";
+import { getSettings } from "../utils/config.js";
+import { InvalidArgumentError } from "commander";
+import { GitHubClient } from "../github/client.js";
 import "dotenv/config";
 
-const CHECKPOINT_FILE = path.join(process.cwd(), "checkpoint.json");
-const CONCURRENT_REPOS = 3;   
-const MAX_RETRIES = 3;
+const ISSUE_STATES = ["open", "closed"];
+const ISSUE_PAGE_SIZE = 30;
+const PR_PAGE_SIZE = 25;
+const COMMENT_PAGE_SIZE = 50;
+// Issue bodies are kept for search and duplicate detection; their start says enough
+const MAX_ISSUE_BODY_CHARS = 4000;
+const COMMIT_PAGE_SIZE = 100;
+const DEFAULT_COMMIT_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 
 class ConcurrencyLimiter {
@@ -131,131 +140,161 @@ class BatchProcessor {
 }
 
 
-class GitHubAPIWithRetries {
-  constructor() {
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
-      retry: { doNotRetry: ["abuse"] }
-    });
-  }
-
-  sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-  calculateBackoffDelay(retryCount) {
-    return Math.pow(3, retryCount) * 1000;
-  }
+// Community health files. GitHub resolves CONTRIBUTING, the code of conduct and SECURITY.md in docs/, .github/
+// and the org's .github repo; the README is only looked for in the root of the default branch
+function mapCommunityFiles(r) {
+  const rootFiles = (r.rootTree?.entries || []).map(e => e.name);
+  return {
+    readme: rootFiles.some(name => /^readme(\.|$)/i.test(name)),
+    contributing: !!r.contributingGuidelines,
+    codeOfConduct: !!r.codeOfConduct,
+    security: !!r.isSecurityPolicyEnabled || rootFiles.some(name => /^security\.md$/i.test(name)),
+    issueTemplates: (r.issueTemplates || []).length > 0
+  };
+}
 
-  isRateLimited(error) {
-    return (error.status === 403 || error.status === 429) &&
-           error.response?.headers?.["x-ratelimit-remaining"] === "0";
-  }
+// Protection rule of the default branch: null = unprotected, "unknown" = the token cannot administer
+// the repo, so GitHub hides its protection rules and an unprotected-looking branch proves nothing
+function mapBranchProtection(r) {
+  const rule = r.defaultBranchRef?.branchProtectionRule;
+  if (rule) return { requiredReviews: rule.requiresApprovingReviews ? rule.requiredApprovingReviewCount || 0 : 0 };
+  return r.viewerCanAdminister ? null : "unknown";
+}
 
-  isRetryableError(error) {
-    if (!error.status) return true;
-    const s = error.status;
-    return s >= 500 || s === 502 || s === 503 || s === 504 || s === 429;
-  }
+function mapRepository(r, org) {
+  return {
+    org,
+    name: r.name,
+    nodeId: r.id,
+    description: r.description,
+    topics: r.repositoryTopics.nodes.map(t => t.topic.name),
+    language: r.primaryLanguage?.name || null,
+    stars: r.stargazerCount,
+    forks: r.forkCount,
+    openIssues: r.issues.totalCount,
+    license: r.licenseInfo?.name || null,
+    pushedAt: r.pushedAt,
+    isPrivate: r.isPrivate,
+    isArchived: r.isArchived,
+    isFork: r.isFork,
+    createdAt: r.createdAt,
+    updatedAt: r.updatedAt,
+    defaultBranch: r.defaultBranchRef?.name,
+    branchProtection: mapBranchProtection(r),
+    community: mapCommunityFiles(r),
+    removed: false,
+    removedAt: null
+  };
+}
 
-  async handleRateLimit(error) {
-    const reset = error.response?.headers?.["x-ratelimit-reset"];
-    if (!reset) {
-      console.log("🚫 Rate limited but no reset header, waiting 60s");
-      await this.sleep(60000);
-      return;
-    }
-    const wait = new Date(parseInt(reset) * 1000).getTime() - Date.now();
-    if (wait > 0) {
-      console.log(`🚫 Rate limit hit! Waiting ${Math.ceil(wait / 1000)}s`);
-      await this.sleep(wait + 1000);
-    }
+// Issues, PRs, comments, snapshots and watermarks are keyed by name: move them along with a renamed repo
+async function moveRepoReferences(db, from, to) {
+  const fromId = `${from.org}/${from.name}`;
+  const toId = `${to.org}/${to.name}`;
+  for (const name of ["issues", "pull_requests", "issue_comments", "commits"]) {
+    await db.collection(name).updateMany({ repo: fromId }, { $set: { repo: toId } });
   }
+  await db.collection("repo_snapshots").updateMany({ org: from.org, name: from.name }, { $set: { org: to.org, name: to.name } });
+  await db.collection("sync_state").updateMany({ org: from.org, repo: from.name }, { $set: { org: to.org, repo: to.name } });
+  await db.collection("repo_access").updateMany({ org: from.org, repo: from.name }, { $set: { org: to.org, repo: to.name } });
+}
 
-  logRateLimit(res) {
-    if (res?.headers?.["x-ratelimit-remaining"]) {
-      const rem = res.headers["x-ratelimit-remaining"];
-      const reset = new Date(parseInt(res.headers["x-ratelimit-reset"]) * 1000);
-      console.log(`⚡ Rate limit: ${rem} requests remaining (resets ${reset.toLocaleTimeString()})`);
-    }
-  }
+/**
+ * Update op for a repo whose node id we already know. A different org or name
+ * means it was transferred or renamed: the old name goes to `nameHistory`.
+ */
+async function knownRepoUpdate(db, prev, org, name, fields) {
+  if (prev.org === org && prev.name === name) return { $set: fields };
+
+  const kind = prev.org !== org ? "transferred" : "renamed";
+  console.log(`🔀 ${prev.org}/${prev.name} ${kind} → ${org}/${name}`);
+  await moveRepoReferences(db, prev, { org, name });
+  return {
+    $set: fields,
+    $push: { nameHistory: { org: prev.org, name: prev.name, kind, changedAt: new Date() } }
+  };
+}
 
-  async graphqlWithRetry(query, variables, retry = 0) {
-    try {
-      const res = await this.octokit.graphql(query, variables);
-      if (res?.rateLimit) console.log(`⚡ GraphQL rate limit: ${res.rateLimit.remaining}/${res.rateLimit.limit}`);
-      return res;
-    } catch (error) {
-      console.error(`GraphQL request failed (attempt ${retry + 1}):`, error.message);
-      if (this.isRateLimited(error)) {
-        await this.handleRateLimit(error);
-        return this.graphqlWithRetry(query, variables, retry);
-      }
-      if (this.isRetryableError(error) && retry < MAX_RETRIES) {
-        const delay = this.calculateBackoffDelay(retry);
-        console.log(`Retrying in ${delay}ms (attempt ${retry + 1}/${MAX_RETRIES})`);
-        await this.sleep(delay);
-        return this.graphqlWithRetry(query, variables, retry + 1);
-      }
-      throw error;
-    }
+async function upsertRepos(db, org, repos) {
+  const repoCol = db.collection("repos");
+  const known = await repoCol.find({ nodeId: { $in: repos.map(r => r.id) } }).toArray();
+  const byNodeId = new Map(known.map(k => [k.nodeId, k]));
+
+  const bulkOps = [];
+  for (const r of repos) {
+    const fields = mapRepository(r, org);
+    const prev = byNodeId.get(r.id);
+    bulkOps.push(prev
+      ? { updateOne: { filter: { nodeId: r.id }, update: await knownRepoUpdate(db, prev, org, r.name, fields) } }
+      // First time we see this node id: adopt a repo stored by name before ids were kept, or insert
+      : { updateOne: { filter: { org, name: r.name }, update: { $set: fields }, upsert: true } });
   }
+  await repoCol.bulkWrite(bulkOps);
+}
 
-  async requestWithRetry(endpoint, opts = {}, retry = 0) {
-    try {
-      const res = await this.octokit.request(endpoint, opts);
-      this.logRateLimit(res);
-      return res;
-    } catch (error) {
-      console.error(`REST request failed (attempt ${retry + 1}):`, error.message);
-      if (this.isRateLimited(error)) {
-        await this.handleRateLimit(error);
-        return this.requestWithRetry(endpoint, opts, retry);
-      }
-      if (this.isRetryableError(error) && retry < MAX_RETRIES) {
-        const delay = this.calculateBackoffDelay(retry);
-        console.log(`Retrying in ${delay}ms (attempt ${retry + 1}/${MAX_RETRIES})`);
-        await this.sleep(delay);
-        return this.requestWithRetry(endpoint, opts, retry + 1);
+// Cheap id/name-only listing of every repo, for passes the main listing did not cover
+async function listRepoIds(github, org) {
+  const query = `
+    query ($org: String!, $cursor: String) {
+      organization(login: $org) {
+        repositories(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { id name }
+        }
       }
-      throw error;
+      rateLimit { limit remaining resetAt }
     }
+  `;
+  const repos = [];
+  for await (const { nodes } of github.paginateGraphql(query, { org }, d => d.organization?.repositories)) {
+    repos.push(...nodes);
   }
+  return repos;
 }
 
+/**
+ * After a complete listing: follow renames of repos the incremental listing skipped,
+ * then mark every stored repo of the org that GitHub no longer lists as removed.
+ */
+async function reconcileRepos(github, org, db, seenIds) {
+  const repoCol = db.collection("repos");
 
-function loadCheckpoint() {
-  if (!fs.existsSync(CHECKPOINT_FILE)) return {};
-  try {
-    const cp = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, "utf-8"));
-    console.log(`📂 Checkpoint loaded: org=${cp.org}, repos=${cp.repos?.count || 0}`);
-    return cp;
-  } catch (e) {
-    console.warn("⚠️  Failed to load checkpoint:", e.message);
-    return {};
+  if (!seenIds) {
+    console.log(`🔎 Listing all repository ids of ${org} to detect renames and removals...`);
+    const listed = await listRepoIds(github, org);
+    const known = await repoCol.find({ nodeId: { $in: listed.map(r => r.id) } }).toArray();
+    const byNodeId = new Map(known.map(k => [k.nodeId, k]));
+    for (const r of listed) {
+      const prev = byNodeId.get(r.id);
+      if (prev && (prev.org !== org || prev.name !== r.name)) {
+        const update = await knownRepoUpdate(db, prev, org, r.name, { org, name: r.name, removed: false, removedAt: null });
+        await repoCol.updateOne({ nodeId: r.id }, update);
+      }
+    }
+    seenIds = new Set(listed.map(r => r.id));
   }
-}
 
-function saveCheckpoint(cp) {
-  try {
-    const data = { ...cp, lastUpdated: new Date().toISOString(), timestamp: Date.now() };
-    fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(data, null, 2));
-    console.log(`💾 Checkpoint saved: org=${data.org}, repos=${data.repos?.count || 0}`);
-  } catch (e) {
-    console.warn("⚠️  Failed to save checkpoint:", e.message);
-  }
+  const res = await repoCol.updateMany(
+    { org, nodeId: { $nin: [...seenIds] }, removed: { $ne: true } },
+    { $set: { removed: true, removedAt: new Date() } }
+  );
+  if (res.modifiedCount) console.log(`🗑️  Marked ${res.modifiedCount} repo(s) no longer in ${org} as removed`);
 }
 
-async function fetchRepositories(org, db, since) {
+async function fetchRepositories(github, org, db, sync, run) {
   console.log(`\n📦 Fetching repositories for ${org}...`);
-  const github = new GitHubAPIWithRetries();
-  const repoCol = db.collection("repos");
-  const cp = loadCheckpoint();
+  const resumed = run.cursor("repos");
 
+  // The listing is always complete: stars, forks, topics and archived state change without
+  // a push, and every fetch records a snapshot of each repo. Only the per-repo phases are incremental.
   let hasNextPage = true;
-  let endCursor = cp.repos?.endCursor || null;
-  let fetched = cp.repos?.count || 0;
+  let endCursor = resumed.endCursor || null;
+  let fetched = resumed.count || 0;
   let page = 0;
+  // Node ids listed by this process; only a full listing from the first page can tell what was removed
+  const seenIds = endCursor ? null : new Set();
 
-  if (cp.org === org && endCursor) {
+  if (endCursor) {
     console.log(`🔄 Resuming from cursor: ${endCursor}, ${fetched} repos already fetched`);
   }
 
@@ -272,11 +311,16 @@ async function fetchRepositories(org, db, since) {
               id name description url createdAt updatedAt pushedAt
               stargazerCount forkCount
               issues(states: [OPEN]) { totalCount }
-              isPrivate isArchived isFork
-              defaultBranchRef { name }
+              isPrivate isArchived isFork viewerCanAdminister
+              defaultBranchRef { name branchProtectionRule { requiresApprovingReviews requiredApprovingReviewCount } }
               primaryLanguage { name }
               repositoryTopics(first: 10) { nodes { topic { name } } }
               licenseInfo { name }
+              contributingGuidelines { url }
+              codeOfConduct { key }
+              isSecurityPolicyEnabled
+              issueTemplates { name }
+              rootTree: object(expression: "HEAD:") { ... on Tree { entries { name } } }
             }
           }
         }
@@ -284,82 +328,205 @@ async function fetchRepositories(org, db, since) {
       }
     `;
 
-    const res = await github.graphqlWithRetry(query, { org, cursor: endCursor });
+    const res = await github.graphql(query, { org, cursor: endCursor });
     if (!res.organization) throw new Error(`Organization '${org}' not found`);
 
-    let repos = res.organization.repositories.nodes;
-    if (since) {
-      const orig = repos.length;
-      repos = repos.filter(r => new Date(r.pushedAt) >= new Date(since));
-      console.log(`📅 Filtered ${orig} → ${repos.length} repos (since ${since})`);
-    }
-
+    const repos = res.organization.repositories.nodes;
+    repos.forEach(r => seenIds?.add(r.id));
     if (repos.length) {
-      const bulkOps = repos.map(r => ({
-        updateOne: {
-          filter: { org, name: r.name },
-          update: {
-            $set: {
-              org,
-              name: r.name,
-              description: r.description,
-              topics: r.repositoryTopics.nodes.map(t => t.topic.name),
-              language: r.primaryLanguage?.name || null,
-              stars: r.stargazerCount,
-              forks: r.forkCount,
-              openIssues: r.issues.totalCount,
-              license: r.licenseInfo?.name || null,
-              pushedAt: r.pushedAt,
-              isPrivate: r.isPrivate,
-              isArchived: r.isArchived,
-              isFork: r.isFork,
-              createdAt: r.createdAt,
-              updatedAt: r.updatedAt,
-              defaultBranch: r.defaultBranchRef?.name
-            }
-          },
-          upsert: true
-        }
-      }));
-      await repoCol.bulkWrite(bulkOps);
+      await upsertRepos(db, org, repos);
+      await recordSnapshots(db, org, repos.map(r => ({
+        name: r.name,
+        stars: r.stargazerCount,
+        forks: r.forkCount,
+        openIssues: r.issues.totalCount
+      })), "fetch");
     }
 
     fetched += repos.length;
     hasNextPage = res.organization.repositories.pageInfo.hasNextPage;
     endCursor = res.organization.repositories.pageInfo.endCursor;
 
-    saveCheckpoint({ org, repos: { endCursor, count: fetched }, lastPage: page });
+    await run.saveCursor("repos", { endCursor, count: fetched });
     console.log(`✅ Fetched ${repos.length} repos on page ${page} (${fetched} total)`);
     await github.sleep(200);
   }
 
+  await reconcileRepos(github, org, db, seenIds);
+  await sync.mark("reposSyncedAt");
   console.log(`🎉 Total repositories stored: ${fetched}`);
   return fetched;
 }
 
 
-async function fetchRepoIssues(github, repo, org, db, checkpoint, since) {
+// Per-repo work inside a run: stop once the run was cancelled, record failures on the run
+async function trackRepo(run, phase, repo, fn) {
+  run.assertActive();
+  try {
+    return await fn();
+  } catch (err) {
+    if (!(err instanceof FetchRunCancelledError)) {
+      run.failedRepos = (run.failedRepos || 0) + 1;
+      await run.recordError(phase, repo.name, err);
+    }
+    throw err;
+  }
+}
+
+// { thumbs_up: 3, heart: 1, …, total: 4 } from GraphQL reactionGroups
+function mapReactions(groups = []) {
+  const reactions = { total: 0 };
+  groups.forEach(g => {
+    const count = g.reactors?.totalCount || 0;
+    if (!count) return;
+    reactions[g.content.toLowerCase()] = count;
+    reactions.total += count;
+  });
+  return reactions;
+}
+
+function mapIssue(i, repoId) {
+  return {
+    repo: repoId,
+    number: i.number,
+    title: i.title,
+    body: i.body ? i.body.slice(0, MAX_ISSUE_BODY_CHARS) : null,
+    state: i.state.toLowerCase(),
+    createdAt: i.createdAt,
+    updatedAt: i.updatedAt,
+    closedAt: i.closedAt,
+    author: i.author?.login || null,
+    authorAssociation: i.authorAssociation?.toLowerCase() || null,
+    labels: i.labels.nodes.map(l => l.name),
+    commentCount: i.comments.totalCount,
+    reopenCount: i.reopened?.totalCount ?? 0,
+    reactions: mapReactions(i.reactionGroups)
+  };
+}
+
+function mapComment(c, repoId, issueNumber) {
+  return {
+    commentId: c.id,
+    repo: repoId,
+    issueNumber,
+    author: c.author?.login || null,
+    authorAssociation: c.authorAssociation?.toLowerCase() || null,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+    reactions: mapReactions(c.reactionGroups)
+  };
+}
+
+const COMMENT_FIELDS = `
+  id createdAt updatedAt authorAssociation
+  author { login }
+  reactionGroups { content reactors { totalCount } }
+`;
+
+// Comments past the first page embedded in the issue query; `complete` is false when paging broke off
+async function fetchRemainingComments(github, org, name, number, cursor) {
+  const query = `
+    query ($owner: String!, $name: String!, $number: Int!, $cursor: String) {
+      repository(owner: $owner, name: $name) {
+        issue(number: $number) {
+          comments(first: 100, after: $cursor) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${COMMENT_FIELDS} }
+          }
+        }
+      }
+      rateLimit { limit remaining resetAt }
+    }
+  `;
+  const comments = [];
+  let after = cursor;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const res = await github.graphql(query, { owner: org, name, number, cursor: after });
+    const connection = res.repository?.issue?.comments;
+    if (!connection) return { comments, complete: false };
+    comments.push(...connection.nodes);
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+  return { comments, complete: true };
+}
+
+async function storeIssueComments(github, db, org, repo, repoId, issues) {
+  const commentCol = db.collection("issue_comments");
+  const ops = [];
+  // Issues whose every comment was listed: stored comments missing from the list were deleted on GitHub
+  const listed = [];
+  for (const issue of issues) {
+    const connection = issue.comments;
+    const nodes = [...connection.nodes];
+    let complete = true;
+    if (connection.pageInfo.hasNextPage) {
+      const rest = await fetchRemainingComments(github, org, repo.name, issue.number, connection.pageInfo.endCursor);
+      nodes.push(...rest.comments);
+      complete = rest.complete;
+    }
+    if (complete) listed.push({ issueNumber: issue.number, commentId: { $nin: nodes.map(c => c.id) } });
+    nodes.forEach(c => ops.push({
+      updateOne: {
+        filter: { commentId: c.id },
+        update: { $set: mapComment(c, repoId, issue.number) },
+        upsert: true
+      }
+    }));
+  }
+  if (ops.length) await commentCol.bulkWrite(ops);
+  if (listed.length) {
+    const { deletedCount } = await commentCol.deleteMany({ repo: repoId, $or: listed });
+    if (deletedCount) console.log(`     🗑️  Removed ${deletedCount} comment(s) deleted on GitHub from ${repoId}`);
+  }
+  return ops.length;
+}
+
+async function fetchRepoIssues(github, repo, org, db, run, sync) {
   const issueCol = db.collection("issues");
   const repoId = `${org}/${repo.name}`;
+  const progress = run.repoProgress(repo.name, "issues");
+  if (progress.done) {
+    console.log(`   ⏭️  ${repoId} issues already fetched in run ${run.runId}`);
+    return progress.count || 0;
+  }
   console.log(`   📌 [${repo.stars}⭐] Fetching issues for: ${repoId}`);
 
   let hasNextPage = true;
-  let endCursor = checkpoint.issues?.[repo.name]?.endCursor || null;
-  let fetched = checkpoint.issues?.[repo.name]?.count || 0;
+  let endCursor = progress.endCursor || null;
+  let fetched = progress.count || 0;
+  let comments = 0;
   let page = 0;
-  const maxPages = 5;
+  let lastUpdatedAt = null;
+  // maxIssues 0 = no limit
+  const { maxIssues, issueStates = ISSUE_STATES, withComments = false } = run.options;
+  const limit = maxIssues === 0 ? Infinity : maxIssues || getSettings().maxPages * ISSUE_PAGE_SIZE;
+
+  // Incremental runs ask GitHub for issues updated since the watermark, oldest first,
+  // so a run stopped by the issue limit can still move the watermark up to what it stored
+  const since = sync.watermark("issuesSyncedAt", repo.name);
+  const orderBy = since ? { field: "UPDATED_AT", direction: "ASC" } : { field: "CREATED_AT", direction: "DESC" };
 
-  while (hasNextPage && page < maxPages) {
+  while (hasNextPage && fetched < limit) {
     page++;
     const query = `
-      query ($owner: String!, $name: String!, $cursor: String) {
+      query ($owner: String!, $name: String!, $cursor: String, $first: Int!, $states: [IssueState!],
+             $since: DateTime, $orderBy: IssueOrder!, $withComments: Boolean!) {
         repository(owner: $owner, name: $name) {
-          issues(first: 30, after: $cursor, states: [OPEN, CLOSED], orderBy: {field: CREATED_AT, direction: DESC}) {
+          issues(first: $first, after: $cursor, states: $states, filterBy: {since: $since}, orderBy: $orderBy) {
             pageInfo { hasNextPage endCursor }
             nodes {
-              id number title state createdAt updatedAt closedAt
+              id number title body state createdAt updatedAt closedAt authorAssociation
               author { login }
-              labels(first: 5) { nodes { name } }
+              labels(first: 50) { nodes { name } }
+              reactionGroups { content reactors { totalCount } }
+              reopened: timelineItems(itemTypes: [REOPENED_EVENT]) { totalCount }
+              comments(first: ${COMMENT_PAGE_SIZE}) {
+                totalCount
+                pageInfo @include(if: $withComments) { hasNextPage endCursor }
+                nodes @include(if: $withComments) { ${COMMENT_FIELDS} }
+              }
             }
           }
         }
@@ -367,82 +534,69 @@ async function fetchRepoIssues(github, repo, org, db, checkpoint, since) {
       }
     `;
 
-    const res = await github.graphqlWithRetry(query, {
+    const res = await github.graphql(query, {
       owner: org,
       name: repo.name,
-      cursor: endCursor
+      cursor: endCursor,
+      first: Math.min(ISSUE_PAGE_SIZE, limit - fetched),
+      states: issueStates.map(s => s.toUpperCase()),
+      since: since?.toISOString() || null,
+      orderBy,
+      withComments
     });
     if (!res.repository) {
       console.log(`     ⚠️  ${repoId} not accessible`);
-      break;
+      return fetched;
     }
 
-    let issues = res.repository.issues.nodes;
-    if (since) {
-      const orig = issues.length;
-      issues = issues.filter(i => new Date(i.createdAt) >= new Date(since));
-      if (orig !== issues.length) console.log(`     📅 Filtered ${orig} → ${issues.length} issues`);
-    }
+    const issues = res.repository.issues.nodes;
+    if (issues.length) lastUpdatedAt = issues[issues.length - 1].updatedAt;
 
     if (issues.length) {
       const bulkOps = issues.map(i => ({
         updateOne: {
           filter: { repo: repoId, number: i.number },
-          update: {
-            $set: {
-              repo: repoId,
-              number: i.number,
-              title: i.title,
-              state: i.state.toLowerCase(),
-              createdAt: i.createdAt,
-              updatedAt: i.updatedAt,
-              closedAt: i.closedAt,
-              author: i.author?.login || null,
-              labels: i.labels.nodes.map(l => l.name)
-            }
-          },
+          update: { $set: mapIssue(i, repoId) },
           upsert: true
         }
       }));
       await issueCol.bulkWrite(bulkOps);
+      if (withComments) comments += await storeIssueComments(github, db, org, repo, repoId, issues);
     }
 
     fetched += issues.length;
     hasNextPage = res.repository.issues.pageInfo.hasNextPage && issues.length > 0;
     endCursor = res.repository.issues.pageInfo.endCursor;
 
-    if (page % 2 === 0 || !hasNextPage) {
-      const cp = loadCheckpoint();
-      saveCheckpoint({
-        ...cp,
-        issues: { ...cp.issues, [repo.name]: { endCursor, count: fetched } }
-      });
-    }
-    if (issues.length === 0 || (since && issues.length < 30)) break;
+    if (page % 2 === 0) await run.saveRepoProgress(repo.name, "issues", { endCursor, count: fetched });
+    if (issues.length === 0) break;
     if (hasNextPage) await github.sleep(150);
   }
 
-  if (page >= maxPages && hasNextPage) {
-    console.log(`     ⚠️  Max pages (${maxPages}) reached for ${repoId}`);
+  if (hasNextPage && fetched >= limit) {
+    console.log(`     ⚠️  Issue limit (${limit}) reached for ${repoId}`);
+    if (since && lastUpdatedAt) await sync.mark("issuesSyncedAt", repo.name, new Date(lastUpdatedAt));
+    else if (!since) await sync.mark("issuesSyncedAt", repo.name);
+  } else {
+    await sync.mark("issuesSyncedAt", repo.name);
   }
-  console.log(`     ✅ ${fetched} issues fetched for ${repoId}`);
+  await run.saveRepoProgress(repo.name, "issues", { endCursor, count: fetched, done: true });
+  console.log(`     ✅ ${fetched} issues${withComments ? ` and ${comments} comments` : ""} fetched for ${repoId}`);
   return fetched;
 }
 
-async function fetchIssues(org, db, since) {
+async function fetchIssues(github, org, db, sync, run) {
   console.log(`\n📂 Fetching issues for repos in ${org}...`);
-  const github = new GitHubAPIWithRetries();
   const repoCol = db.collection("repos");
-  const cp = loadCheckpoint();
 
-  const repos = await repoCol.find({ org }).sort({ stars: -1, forks: -1 }).toArray();
+  const repos = await repoCol.find({ org, removed: { $ne: true } }).sort({ stars: -1, forks: -1 }).toArray();
   if (!repos.length) {
     console.log("⚠️  No repositories. Run fetch command first.");
     return 0;
   }
   console.log(`📊 Found ${repos.length} repositories to process`);
 
-  const processor = new BatchProcessor(CONCURRENT_REPOS, Math.min(5, repos.length));
+  const processor = new BatchProcessor(getSettings().concurrency, Math.min(5, repos.length));
   let totalFetched = 0;
 
   const onProgress = ({ item: repo, result, success }) => {
@@ -452,56 +606,593 @@ async function fetchIssues(org, db, since) {
   const onBatchComplete = ({ batchNumber, totalBatches }) => {
     const pct = Math.round((batchNumber / totalBatches) * 100);
     console.log(`\n📈 Progress: ${pct}%`);
-    const current = loadCheckpoint();
-    saveCheckpoint({ ...current, progress: { batchesCompleted: batchNumber, totalBatches } });
   };
 
   const { successCount, errorCount } = await processor.processItems(
     repos,
-    async (repo) => fetchRepoIssues(github, repo, org, db, cp, since),
+    (repo) => trackRepo(run, "issues", repo, () => fetchRepoIssues(github, repo, org, db, run, sync)),
     { batchDelay: 3000, itemDelay: 300, onProgress, onBatchComplete }
   );
+  run.assertActive();
 
   console.log(`\n🎉 Issue fetching complete: ${successCount} repos OK, ${errorCount} failed, ${totalFetched} issues`);
   return totalFetched;
 }
 
 
-async function handleFetchAction(org, since) {
+function mapPullRequest(pr, repoId) {
+  const reviews = pr.reviews.nodes
+    .filter(r => r.submittedAt)
+    .map(r => ({
+      author: r.author?.login || null,
+      state: r.state.toLowerCase(),
+      submittedAt: r.submittedAt
+    }));
+  const firstReview = reviews.find(r => r.author && r.author !== pr.author?.login);
+
+  return {
+    repo: repoId,
+    number: pr.number,
+    title: pr.title,
+    author: pr.author?.login || null,
+    state: pr.state.toLowerCase(),
+    isDraft: pr.isDraft,
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    mergedAt: pr.mergedAt,
+    closedAt: pr.closedAt,
+    additions: pr.additions,
+    deletions: pr.deletions,
+    changedFiles: pr.changedFiles,
+    baseBranch: pr.baseRefName,
+    headBranch: pr.headRefName,
+    reviewDecision: pr.reviewDecision?.toLowerCase() || null,
+    requestedReviewers: pr.reviewRequests.nodes
+      .map(r => r.requestedReviewer?.login || r.requestedReviewer?.slug)
+      .filter(Boolean),
+    reviews,
+    firstReviewAt: firstReview?.submittedAt || null
+  };
+}
+
+async function fetchRepoPullRequests(github, repo, org, db, run, sync) {
+  const prCol = db.collection("pull_requests");
+  const repoId = `${org}/${repo.name}`;
+  const progress = run.repoProgress(repo.name, "pullRequests");
+  if (progress.done) {
+    console.log(`   ⏭️  ${repoId} pull requests already fetched in run ${run.runId}`);
+    return progress.count || 0;
+  }
+  console.log(`   🔀 Fetching pull requests for: ${repoId}`);
+
+  let hasNextPage = true;
+  let endCursor = progress.endCursor || null;
+  let fetched = progress.count || 0;
+  let page = 0;
+  let oldestUpdatedAt = null;
+  // maxPrs 0 = no limit
+  const { maxPrs } = run.options;
+  const limit = maxPrs === 0 ? Infinity : maxPrs || getSettings().maxPages * PR_PAGE_SIZE;
+
+  // pullRequests has no `since` filter: page newest-update first and stop at the watermark
+  const since = sync.watermark("pullRequestsSyncedAt", repo.name);
+  const orderBy = since ? { field: "UPDATED_AT", direction: "DESC" } : { field: "CREATED_AT", direction: "DESC" };
+
+  while (hasNextPage && fetched < limit) {
+    page++;
+    const query = `
+      query ($owner: String!, $name: String!, $cursor: String, $first: Int!, $orderBy: IssueOrder!) {
+        repository(owner: $owner, name: $name) {
+          pullRequests(first: $first, after: $cursor, states: [OPEN, CLOSED, MERGED], orderBy: $orderBy) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              id number title state isDraft createdAt updatedAt mergedAt closedAt
+              additions deletions changedFiles baseRefName headRefName reviewDecision
+              author { login }
+              reviewRequests(first: 10) {
+                nodes { requestedReviewer { ... on User { login } ... on Team { slug } } }
+              }
+              reviews(first: 20) { nodes { state submittedAt author { login } } }
+            }
+          }
+        }
+        rateLimit { limit remaining resetAt }
+      }
+    `;
+
+    const res = await github.graphql(query, {
+      owner: org,
+      name: repo.name,
+      cursor: endCursor,
+      first: Math.min(PR_PAGE_SIZE, limit - fetched),
+      orderBy
+    });
+    if (!res.repository) {
+      console.log(`     ⚠️  ${repoId} not accessible`);
+      return fetched;
+    }
+
+    let prs = res.repository.pullRequests.nodes;
+    let passedWatermark = false;
+    if (since) {
+      const orig = prs.length;
+      prs = prs.filter(p => new Date(p.updatedAt) >= since);
+      passedWatermark = prs.length < orig;
+    }
+
+    if (prs.length) {
+      oldestUpdatedAt = prs[prs.length - 1].updatedAt;
+      const bulkOps = prs.map(p => ({
+        updateOne: {
+          filter: { repo: repoId, number: p.number },
+          update: { $set: mapPullRequest(p, repoId) },
+          upsert: true
+        }
+      }));
+      await prCol.bulkWrite(bulkOps);
+    }
+
+    fetched += prs.length;
+    hasNextPage = res.repository.pullRequests.pageInfo.hasNextPage && prs.length > 0 && !passedWatermark;
+    endCursor = res.repository.pullRequests.pageInfo.endCursor;
+
+    if (page % 2 === 0) await run.saveRepoProgress(repo.name, "pullRequests", { endCursor, count: fetched });
+    if (prs.length === 0) break;
+    if (hasNextPage) await github.sleep(150);
+  }
+
+  if (hasNextPage && fetched >= limit) {
+    console.log(`     ⚠️  Pull request limit (${limit}) reached for ${repoId}`);
+    if (since) {
+      // Newest-first paging stopped short of the watermark: hold it, or the gap would never be fetched
+      console.log(`     ⏸️  Keeping the ${repoId} watermark at ${since.toISOString()}: pull requests updated before ${oldestUpdatedAt} were not fetched (use --max-prs all to catch up)`);
+    } else {
+      await sync.mark("pullRequestsSyncedAt", repo.name);
+    }
+  } else {
+    await sync.mark("pullRequestsSyncedAt", repo.name);
+  }
+  await run.saveRepoProgress(repo.name, "pullRequests", { endCursor, count: fetched, done: true });
+  console.log(`     ✅ ${fetched} pull requests fetched for ${repoId}`);
+  return fetched;
+}
+
+async function fetchPullRequests(github, org, db, sync, run) {
+  console.log(`\n🔀 Fetching pull requests for repos in ${org}...`);
+  const repoCol = db.collection("repos");
+
+  const repos = await repoCol.find({ org, removed: { $ne: true } }).sort({ stars: -1, forks: -1 }).toArray();
+  if (!repos.length) {
+    console.log("⚠️  No repositories. Run fetch command first.");
+    return 0;
+  }
+
+  const processor = new BatchProcessor(getSettings().concurrency, Math.min(5, repos.length));
+  let totalFetched = 0;
+
+  const onProgress = ({ result, success }) => {
+    if (success) totalFetched += result || 0;
+  };
+
+  const { successCount, errorCount } = await processor.processItems(
+    repos,
+    (repo) => trackRepo(run, "pullRequests", repo, () => fetchRepoPullRequests(github, repo, org, db, run, sync)),
+    { batchDelay: 3000, itemDelay: 300, onProgress }
+  );
+  run.assertActive();
+
+  console.log(`\n🎉 Pull request fetching complete: ${successCount} repos OK, ${errorCount} failed, ${totalFetched} pull requests`);
+  return totalFetched;
+}
+
+function mapCommit(c, repoId) {
+  return {
+    repo: repoId,
+    oid: c.oid,
+    author: c.author?.user?.login || null,
+    authorName: c.author?.name || null,
+    authoredAt: c.authoredDate,
+    committedAt: c.committedDate,
+    additions: c.additions,
+    deletions: c.deletions,
+    isMerge: c.parents.totalCount > 1
+  };
+}
+
+/**
+ * Default-branch history of the last `commitDays` days. `history(since:)` filters
+ * server-side, so an incremental run starts at the later of the window and the watermark.
+ */
+async function fetchRepoCommits(github, repo, org, db, run, sync) {
+  const commitCol = db.collection("commits");
+  const repoId = `${org}/${repo.name}`;
+  const progress = run.repoProgress(repo.name, "commits");
+  if (progress.done) {
+    console.log(`   ⏭️  ${repoId} commits already fetched in run ${run.runId}`);
+    return progress.count || 0;
+  }
+  if (!repo.defaultBranch) {
+    await run.saveRepoProgress(repo.name, "commits", { count: 0, done: true });
+    return 0;
+  }
+
+  // No push since the watermark means no new default-branch commits
+  const watermark = sync.watermark("commitsSyncedAt", repo.name);
+  if (watermark && repo.pushedAt && new Date(repo.pushedAt) < watermark) {
+    console.log(`   ⏭️  ${repoId} not pushed since ${watermark.toISOString()}, skipping commits`);
+    await run.saveRepoProgress(repo.name, "commits", { count: 0, done: true });
+    return 0;
+  }
+  console.log(`   🧑‍💻 Fetching commits for: ${repoId}`);
+
+  let hasNextPage = true;
+  let endCursor = progress.endCursor || null;
+  let fetched = progress.count || 0;
+  let page = 0;
+  // maxCommits 0 = no limit
+  const { maxCommits } = run.options;
+  const limit = maxCommits === 0 ? Infinity : maxCommits || getSettings().maxPages * COMMIT_PAGE_SIZE;
+
+  const windowStart = new Date(run.startedAt.getTime() - (run.options.commitDays || DEFAULT_COMMIT_DAYS) * DAY_MS);
+  const since = watermark && watermark > windowStart ? watermark : windowStart;
+
+  while (hasNextPage && fetched < limit) {
+    page++;
+    const query = `
+      query ($owner: String!, $name: String!, $cursor: String, $since: GitTimestamp!, $first: Int!) {
+        repository(owner: $owner, name: $name) {
+          defaultBranchRef {
+            target {
+              ... on Commit {
+                history(first: $first, after: $cursor, since: $since) {
+                  pageInfo { hasNextPage endCursor }
+                  nodes {
+                    oid authoredDate committedDate additions deletions
+                    parents { totalCount }
+                    author { name user { login } }
+                  }
+                }
+              }
+            }
+          }
+        }
+        rateLimit { limit remaining resetAt }
+      }
+    `;
+
+    const res = await github.graphql(query, {
+      owner: org,
+      name: repo.name,
+      cursor: endCursor,
+      since: since.toISOString(),
+      first: Math.min(COMMIT_PAGE_SIZE, limit - fetched)
+    });
+    const history = res.repository?.defaultBranchRef?.target?.history;
+    if (!history) {
+      console.log(`     ⚠️  ${repoId} has no accessible default branch history`);
+      break;
+    }
+
+    const commits = history.nodes;
+    if (commits.length) {
+      await commitCol.bulkWrite(commits.map(c => ({
+        updateOne: {
+          filter: { repo: repoId, oid: c.oid },
+          update: { $set: mapCommit(c, repoId) },
+          upsert: true
+        }
+      })));
+    }
+
+    fetched += commits.length;
+    hasNextPage = history.pageInfo.hasNextPage;
+    endCursor = history.pageInfo.endCursor;
+
+    if (page % 2 === 0) await run.saveRepoProgress(repo.name, "commits", { endCursor, count: fetched });
+    if (hasNextPage) await github.sleep(150);
+  }
+
+  if (hasNextPage && fetched >= limit) {
+    console.log(`     ⚠️  Commit limit (${limit}) reached for ${repoId}`);
+    if (watermark) {
+      // Newest-first paging stopped short of the watermark: hold it, or the gap would never be fetched
+      console.log(`     ⏸️  Keeping the ${repoId} watermark at ${watermark.toISOString()}: older commits were not fetched (use --max-commits all to catch up)`);
+    } else {
+      console.log(`     ⚠️  Older commits in the window were skipped (use --full --max-commits all to fetch them)`);
+      await sync.mark("commitsSyncedAt", repo.name);
+    }
+  } else {
+    await sync.mark("commitsSyncedAt", repo.name);
+  }
+  await run.saveRepoProgress(repo.name, "commits", { endCursor, count: fetched, done: true });
+  console.log(`     ✅ ${fetched} commits fetched for ${repoId}`);
+  return fetched;
+}
+
+async function fetchCommits(github, org, db, sync, run) {
+  const days = run.options.commitDays || DEFAULT_COMMIT_DAYS;
+  console.log(`\n🧑‍💻 Fetching default-branch commits of the last ${days} days for repos in ${org}...`);
+  const repoCol = db.collection("repos");
+
+  const repos = await repoCol.find({ org, removed: { $ne: true } }).sort({ stars: -1, forks: -1 }).toArray();
+  if (!repos.length) {
+    console.log("⚠️  No repositories. Run fetch command first.");
+    return 0;
+  }
+
+  const processor = new BatchProcessor(getSettings().concurrency, Math.min(5, repos.length));
+  let totalFetched = 0;
+
+  const onProgress = ({ result, success }) => {
+    if (success) totalFetched += result || 0;
+  };
+
+  const { successCount, errorCount } = await processor.processItems(
+    repos,
+    (repo) => trackRepo(run, "commits", repo, () => fetchRepoCommits(github, repo, org, db, run, sync)),
+    { batchDelay: 3000, itemDelay: 300, onProgress }
+  );
+  run.assertActive();
+
+  console.log(`\n🎉 Commit fetching complete: ${successCount} repos OK, ${errorCount} failed, ${totalFetched} commits`);
+  return totalFetched;
+}
+
+// Highest permission of a team/collaborator grant; custom repository roles keep their own name
+const PERMISSION_ORDER = ["admin", "maintain", "push", "triage", "pull"];
+
+function grantPermission(entry) {
+  if (entry.role_name && !["read", "write"].includes(entry.role_name)) return entry.role_name;
+  return PERMISSION_ORDER.find(p => entry.permissions?.[p]) || "pull";
+}
+
+// Listing members and teams needs read:org; a token without it only loses this phase
+function isAccessDenied(err) {
+  return [401, 403, 404].includes(err.status);
+}
+
+async function collect(github, route, params) {
+  const items = [];
+  for await (const page of github.paginate(route, params)) items.push(...page);
+  return items;
+}
+
+/**
+ * Org members (with role), teams with their members, and who can access which repo:
+ * team grants plus direct collaborator grants, one `repo_access` document per grant.
+ * Every sync replaces the org's previous documents.
+ */
+async function fetchMembersAndTeams(github, org, db, run) {
+  console.log(`\n👥 Fetching members and teams of ${org}...`);
+  const syncedAt = new Date();
+
+  let owners, members, teams;
+  try {
+    owners = new Set((await collect(github, "GET /orgs/{org}/members", { org, role: "admin" })).map(m => m.login));
+    members = await collect(github, "GET /orgs/{org}/members", { org, role: "all" });
+    teams = await collect(github, "GET /orgs/{org}/teams", { org });
+  } catch (err) {
+    if (!isAccessDenied(err)) throw err;
+    console.warn(`⚠️  Cannot list members/teams of ${org} (${err.message}); the token needs read:org. Skipping.`);
+    await run.saveCursor("members", { done: true, skipped: true });
+    return;
+  }
+
+  if (members.length) {
+    await db.collection("members").bulkWrite(members.map(m => ({
+      updateOne: {
+        filter: { org, login: m.login },
+        update: { $set: { org, login: m.login, role: owners.has(m.login) ? "admin" : "member", type: m.type, syncedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  const access = [];
+  for (const team of teams) {
+    run.assertActive();
+    const params = { org, team_slug: team.slug };
+    const maintainers = new Set((await collect(github, "GET /orgs/{org}/teams/{team_slug}/members", { ...params, role: "maintainer" })).map(m => m.login));
+    const teamMembers = await collect(github, "GET /orgs/{org}/teams/{team_slug}/members", params);
+    const teamRepos = await collect(github, "GET /orgs/{org}/teams/{team_slug}/repos", params);
+
+    await db.collection("teams").updateOne(
+      { org, slug: team.slug },
+      {
+        $set: {
+          org,
+          slug: team.slug,
+          name: team.name,
+          privacy: team.privacy,
+          parent: team.parent?.slug || null,
+          members: teamMembers.map(m => ({ login: m.login, role: maintainers.has(m.login) ? "maintainer" : "member" })),
+          syncedAt
+        }
+      },
+      { upsert: true }
+    );
+    teamRepos
+      .filter(r => r.owner?.login?.toLowerCase() === org.toLowerCase())
+      .forEach(r => access.push({ org, repo: r.name, team: team.slug, login: null, permission: grantPermission(r), via: "team" }));
+  }
+
+  // Direct grants need admin access to each repo: stop asking after the first refusal
+  let directCollected = true;
+  const repos = await db.collection("repos").find({ org, removed: { $ne: true } }, { projection: { name: 1 } }).toArray();
+  for (const repo of repos) {
+    run.assertActive();
+    try {
+      const collaborators = await collect(github, "GET /repos/{owner}/{repo}/collaborators", { owner: org, repo: repo.name, affiliation: "direct" });
+      collaborators.forEach(c => access.push({ org, repo: repo.name, team: null, login: c.login, permission: grantPermission(c), via: "direct" }));
+    } catch (err) {
+      if (!isAccessDenied(err)) throw err;
+      console.warn(`⚠️  Cannot list collaborators of ${org}/${repo.name} (${err.message}); skipping direct grants`);
+      directCollected = false;
+      break;
+    }
+  }
+
+  const accessCol = db.collection("repo_access");
+  if (access.length) {
+    await accessCol.bulkWrite(access.map(a => ({
+      updateOne: {
+        filter: { org, repo: a.repo, team: a.team, login: a.login },
+        update: { $set: { ...a, syncedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  const stale = { org, syncedAt: { $lt: syncedAt } };
+  await db.collection("members").deleteMany(stale);
+  await db.collection("teams").deleteMany(stale);
+  await accessCol.deleteMany(directCollected ? stale : { ...stale, via: "team" });
+
+  await run.saveCursor("members", { done: true, members: members.length, teams: teams.length });
+  console.log(`✅ ${members.length} members (${owners.size} owners), ${teams.length} teams, ${access.length} repo grants`);
+}
+
+// Tag stored issue authors as org `member` or `external` (needs a members sync)
+async function tagIssueAuthors(db, org) {
+  const logins = (await db.collection("members").find({ org }, { projection: { login: 1 } }).toArray()).map(m => m.login);
+  if (!logins.length) return;
+
+  // Match the org's stored repos by id: the org name is not a regex
+  const repos = await db.collection("repos").find({ org }, { projection: { name: 1 } }).toArray();
+  const issueCol = db.collection("issues");
+  const orgIssues = { repo: { $in: repos.map(r => `${org}/${r.name}`) } };
+  const members = await issueCol.updateMany({ ...orgIssues, author: { $in: logins } }, { $set: { authorType: "member" } });
+  const external = await issueCol.updateMany({ ...orgIssues, author: { $nin: logins } }, { $set: { authorType: "external" } });
+  console.log(`🏷️  Tagged issue authors: ${members.matchedCount} by members, ${external.matchedCount} external`);
+}
+
+
+export async function handleFetchAction(org, opts = {}, { explicit } = {}) {
+  let run = null;
   try {
     console.log("👉 Fetch action started for org:", org);
-    if (!process.env.MONGO_URI) throw new Error("Missing MONGO_URI in .env");
-    if (!process.env.GITHUB_TOKEN) console.warn("⚠️  No GITHUB_TOKEN – low rate limits");
+    const settings = getSettings();
+    if (currentStoreSpec().type === "mongo" && !settings.mongoUri && !currentStoreSpec().uri) {
+      throw new Error("Missing MONGO_URI in .env (or mongoUri in the active profile)");
+    }
+    if (!settings.githubToken && !settings.githubTokens.length && !settings.githubAppId) {
+      console.warn("⚠️  No GITHUB_TOKEN or GitHub App configured – low rate limits");
+    }
+
+    if (opts.since && Number.isNaN(Date.parse(opts.since))) {
+      throw new Error(`Invalid --since date '${opts.since}' (use YYYY-MM-DD)`);
+    }
+    const issueStates = opts.issueStates ? opts.issueStates.split(",").map(s => s.trim().toLowerCase()) : ISSUE_STATES;
+    const badState = issueStates.find(s => !ISSUE_STATES.includes(s));
+    if (badState) throw new Error(`Unknown issue state '${badState}'. Use ${ISSUE_STATES.join(" | ")}`);
 
-    const db = await connectToMongo();
+    const db = await openStore();
     console.log("✓ Database connection verified");
 
-    const cp = loadCheckpoint();
-    if (cp.org === org && Date.now() - cp.timestamp < 3600000) {
-      console.log(`🔄 Resuming previous fetch (${Math.round((Date.now() - cp.timestamp) / 60000)} min ago)`);
+    // A resumed run keeps its original options; --resume refuses explicitly different ones
+    run = opts.runId
+      ? await FetchRun.resume(db, opts.runId)
+      : await FetchRun.start(db, org, {
+        since: opts.since || null,
+        full: !!opts.full,
+        skipPrs: !!opts.skipPrs,
+        maxIssues: opts.maxIssues ?? null,
+        maxPrs: opts.maxPrs ?? null,
+        issueStates,
+        withComments: !!opts.withComments,
+        skipMembers: !!opts.skipMembers,
+        skipCommits: !!opts.skipCommits,
+        maxCommits: opts.maxCommits ?? null,
+        commitDays: opts.commitDays ?? DEFAULT_COMMIT_DAYS
+      }, { resume: !!opts.resume, explicit });
+    if (run.resumed) {
+      console.log(`🔄 Resuming run ${run.runId} (phase: ${run.phase}, started ${run.startedAt.toISOString()})`);
+    } else {
+      console.log(`🆕 Started run ${run.runId}`);
+      if (run.previous) {
+        console.log(`ℹ️  Run ${run.previous.runId} (${run.previous.status}) was left as is; continue it instead with "fetch ${org} --resume" or "orgpulse runs resume ${run.previous.runId}"`);
+      }
+    }
+    const { since, full, skipPrs, skipMembers, skipCommits } = run.options;
+
+    const sync = await SyncState.load(db, org, { since, full, startedAt: run.startedAt });
+    if (since) console.log(`📅 Fetching changes since ${since} (sync watermarks left untouched)`);
+    else if (full) console.log("🔁 Full fetch: ignoring sync watermarks");
+
+    const github = await GitHubClient.create({ org });
+    let repoCount = run.cursor("repos").count || 0;
+    let prCount = 0;
+    let commitCount = 0;
+    if (run.phase === "repos") repoCount = await fetchRepositories(github, org, db, sync, run);
+    if (!skipMembers && !run.cursor("members").done) {
+      await run.enterPhase("members");
+      await fetchMembersAndTeams(github, org, db, run);
+    }
+    await run.enterPhase("issues");
+    const issueCount = await fetchIssues(github, org, db, sync, run);
+    await tagIssueAuthors(db, org);
+    if (!skipPrs) {
+      await run.enterPhase("pullRequests");
+      prCount = await fetchPullRequests(github, org, db, sync, run);
+    }
+    if (!skipCommits) {
+      await run.enterPhase("commits");
+      commitCount = await fetchCommits(github, org, db, sync, run);
     }
 
-    const repoCount = await fetchRepositories(org, db, since);
-    const issueCount = await fetchIssues(org, db, since);
-
-    if (fs.existsSync(CHECKPOINT_FILE)) fs.unlinkSync(CHECKPOINT_FILE);
-    console.log(`\n🎉 Fetch completed: ${repoCount} repos, ${issueCount} issues`);
+    // Leave the run resumable so the next attempt only retries the repos that failed
+    if (run.failedRepos) throw new Error(`${run.failedRepos} repo fetch(es) failed, see "orgpulse runs show ${run.runId}"`);
+    await run.finish("completed");
+    console.log(`\n🎉 Fetch completed (run ${run.runId}): ${repoCount} repos, ${issueCount} issues, ${prCount} pull requests, ${commitCount} commits`);
   } catch (err) {
+    if (err instanceof FetchRunCancelledError) {
+      console.error(`🛑 ${err.message}, stopping`);
+      await run.finish("cancelled").catch(e => console.warn("⚠️  Failed to release run lock:", e.message));
+      return;
+    }
     console.error("❌ Fetch failed:", err.message);
-    console.error("💾 Checkpoint saved – rerun same command to resume");
+    if (run) {
+      await run.finish("failed", err).catch(e => console.warn("⚠️  Failed to save run state:", e.message));
+      console.error(`💾 Progress saved in run ${run.runId} – continue with "fetch ${org} --resume" or "orgpulse runs resume ${run.runId}"`);
+    }
     process.exitCode = 1;
   } finally {
-    await closeConnection();
+    await closeStore();
   }
 }
 
 
+function parseCommitDays(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new InvalidArgumentError("Use a positive number of days.");
+  return n;
+}
+
+function parseMaxCount(value) {
+  if (value === "all") return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw new InvalidArgumentError("Use a positive number or 'all'.");
+  return n;
+}
+
 export default function fetchCommand(program) {
   program
-    .command("fetch <org>")
-    .description("Fetch repositories and issues for a GitHub org")
-    .option("--since <date>", "Fetch only repos/issues updated after this date (YYYY-MM-DD)")
-    .action(async (org, opts) => {
-      await handleFetchAction(org, opts.since);
+    .command("fetch [org]")
+    .description("Fetch repositories, issues, pull requests and commits for a GitHub org")
+    .option("--since <date>", "Fetch only changes after this date (YYYY-MM-DD) instead of the stored sync watermarks")
+    .option("--full", "Ignore the sync watermarks and fetch everything again")
+    .option("--skip-prs", "Do not fetch pull requests")
+    .option("--max-prs <n>", `Pull requests to fetch per repo, or 'all' (default: maxPages × ${PR_PAGE_SIZE})`, parseMaxCount)
+    .option("--max-issues <n>", "Issues to fetch per repo, or 'all' (default: maxPages × 30)", parseMaxCount)
+    .option("--issue-states <states>", "Comma-separated issue states to fetch: open,closed", "open,closed")
+    .option("--with-comments", "Also store issue comments and their reactions in issue_comments")
+    .option("--skip-members", "Do not fetch org members, teams and repo access")
+    .option("--skip-commits", "Do not fetch default-branch commits")
+    .option("--max-commits <n>", `Commits to fetch per repo, or 'all' (default: maxPages × ${COMMIT_PAGE_SIZE})`, parseMaxCount)
+    .option("--commit-days <n>", `Days of default-branch commit history to collect (default ${DEFAULT_COMMIT_DAYS})`, parseCommitDays)
+    .option("--resume", "Continue the org's unfinished run instead of starting a new one")
+    .action(async (org, opts, cmd) => {
+      const explicit = Object.keys(opts).filter(k => k !== "resume" && cmd.getOptionValueSource(k) === "cli");
+      await handleFetchAction(org, opts, { explicit });
     });
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { RepoModel } from "./db/model.js";
+import { rankRepos, resolveHealthWeights } from "../services/health.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { getSettings } from "../utils/config.js";
+
+function scoreColor(score) {
+  if (score >= 80) return "green";
+  if (score >= 50) return "yellow";
+  return "red";
+}
+
+export default function healthCommand(program) {
+  program
+    .command("health")
+    .description("Rank repositories by health score and show what each one is missing")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--weights <file>", "JSON/YAML file with check weights (overrides the healthWeights setting)")
+    .option("--limit <number>", "Number of repos to display (lowest scores first)")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      let weights;
+      try {
+        weights = resolveHealthWeights(getSettings().healthWeights, options.weights);
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      await openStore();
+      try {
+        const repos = await RepoModel.findByOrg(options.org, { limit: 0, includeRemoved: options.includeRemoved });
+        if (!repos.length) {
+          console.log(`⚠️ No repositories found for org ${options.org}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+        const unchecked = repos.filter((r) => !r.community).length;
+        if (unchecked) {
+          // Every fetch lists all repos, so only repos last fetched before community files were collected lack them
+          console.log(`⚠️ ${unchecked} repo(s) were last fetched before community files were collected. Run "orgpulse fetch ${options.org}" again to collect them.`);
+        }
+
+        let ranked = rankRepos(repos, weights).map((r, i) => ({ rank: i + 1, ...r }));
+        const average = Math.round(ranked.reduce((sum, r) => sum + r.score, 0) / ranked.length);
+        if (options.limit) ranked = ranked.slice(0, parseInt(options.limit, 10));
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🩺 Repository Health: ${options.org}`,
+            headers: ["Rank", "Repo", "Score", "Missing"],
+            rows: ranked.map((r) => [r.rank, r.name, r.score, r.missing.join(", ")]),
+            data: { org: options.org, weights, averageScore: average, repos: ranked },
+          });
+          console.log(`✅ Health report exported to ${file}`);
+          return;
+        }
+
+        console.log(`\n🩺 Repository health for ${options.org} (average score ${average})`);
+        const table = new Table({
+          columns: [
+            { name: "rank", title: "#", alignment: "right" },
+            { name: "name", title: "Repo", alignment: "left" },
+            { name: "score", title: "Score", alignment: "right" },
+            { name: "missing", title: "Missing", alignment: "left" },
+          ],
+        });
+        ranked.forEach((r) =>
+          table.addRow(
+            { rank: r.rank, name: r.name, score: r.score, missing: r.missing.join(", ") || "-" },
+            { color: scoreColor(r.score) }
+          )
+        );
+        table.printTable();
+      } catch (err) {
+        console.error("❌ Error scoring repositories:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -1,18 +1,20 @@
-import { connectToMongo, closeConnection } from './db/connection.js';
+import { openStore, closeStore, currentStoreSpec } from '../storage/index.js';
 import { initializeDatabase } from './db/model.js';
 import 'dotenv/config';
+import { getSettings } from '../utils/config.js';
 
 async function handleInitAction() {
   try {
     console.log('\n🔧 Initializing OrgPulse database...');
 
-    if (!process.env.MONGO_URI) {
-      throw new Error('Missing MONGO_URI in .env');
+    const spec = currentStoreSpec();
+    if (spec.type === 'mongo' && !spec.uri && !getSettings().mongoUri) {
+      throw new Error('Missing MONGO_URI in .env (or mongoUri in the active profile)');
     }
 
-    console.time('⏳ MongoDB connection');
-    const db = await connectToMongo();
-    console.timeEnd('⏳ MongoDB connection');
+    console.time(`⏳ ${spec.type === 'file' ? 'File store' : 'MongoDB'} connection`);
+    const db = await openStore();
+    console.timeEnd(`⏳ ${spec.type === 'file' ? 'File store' : 'MongoDB'} connection`);
 
     console.log('⏳ Creating database indexes...');
     const startTime = Date.now();
@@ -40,7 +42,7 @@ async function handleInitAction() {
     return false;
   } finally {
     try {
-      await closeConnection();
+      await closeStore();
     } catch (closeError) {
       console.error('⚠️  Warning: Error closing connection:', closeError.message);
     }
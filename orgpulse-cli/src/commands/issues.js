@@ -0,0 +1,169 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { median, percentile, hoursBetween, formatHours } from "../utils/stats.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { firstResponses } from "../services/responses.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUP_BY = ["repo", "label"];
+// Open-issue age buckets: [label, upper bound in days]
+const AGE_BUCKETS = [
+  ["<7d", 7],
+  ["7-30d", 30],
+  ["30-90d", 90],
+  ["90d-1y", 365],
+  [">1y", Infinity],
+];
+
+function summarize(group, issues, responses, now) {
+  const closed = issues.filter((i) => i.state === "closed");
+  const open = issues.filter((i) => i.state === "open");
+  const closeTimes = closed.map((i) => hoursBetween(i.createdAt, i.closedAt));
+  const responseTimes = issues.map((i) => hoursBetween(i.createdAt, responses[`${i.repo}#${i.number}`]));
+
+  const openAge = Object.fromEntries(AGE_BUCKETS.map(([label]) => [label, 0]));
+  open.forEach((i) => {
+    const days = (now - new Date(i.createdAt).getTime()) / DAY_MS;
+    const [label] = AGE_BUCKETS.find(([, max]) => days < max);
+    openAge[label]++;
+  });
+
+  return {
+    group,
+    issues: issues.length,
+    open: open.length,
+    closed: closed.length,
+    medianCloseHours: median(closeTimes),
+    p90CloseHours: percentile(closeTimes, 90),
+    medianResponseHours: median(responseTimes),
+    p90ResponseHours: percentile(responseTimes, 90),
+    unansweredOpen: open.filter((i) => !responses[`${i.repo}#${i.number}`]).length,
+    openAge,
+    reopenedIssues: issues.filter((i) => i.reopenCount > 0).length,
+    reopens: issues.reduce((sum, i) => sum + (i.reopenCount || 0), 0),
+  };
+}
+
+function groupIssues(issues, by) {
+  const groups = {};
+  issues.forEach((i) => {
+    const keys = by === "label" ? (i.labels?.length ? i.labels : ["(unlabeled)"]) : [i.repo];
+    keys.forEach((k) => (groups[k] = groups[k] || []).push(i));
+  });
+  return groups;
+}
+
+export default function issuesCommand(program) {
+  const issues = program
+    .command("issues")
+    .description("Issue lifecycle metrics");
+
+  issues
+    .command("stats")
+    .description("Time to close, time to first maintainer response, open-issue age and reopens per repo or label")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--repo <name>", "Limit to a single repository")
+    .option("--since <date>", "Only include issues created after this date (YYYY-MM-DD)")
+    .option("--by <group>", `Group by: ${GROUP_BY.join(" | ")}`, "repo")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      if (!GROUP_BY.includes(options.by)) {
+        console.error(`❌ Unknown --by '${options.by}'. Use ${GROUP_BY.join(" | ")}`);
+        process.exitCode = 1;
+        return;
+      }
+      if (options.since && Number.isNaN(Date.parse(options.since))) {
+        console.error(`❌ Invalid --since date: ${options.since}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const repoQuery = options.repo ? { repo: `${options.org}/${options.repo}` } : { repo: { $regex: `^${options.org}/` } };
+        const query = { ...repoQuery };
+        if (options.since) query.createdAt = { $gte: new Date(options.since).toISOString() };
+
+        const list = await db.collection("issues")
+          .find(query, { projection: { repo: 1, number: 1, state: 1, labels: 1, author: 1, createdAt: 1, closedAt: 1, reopenCount: 1 } })
+          .toArray();
+        if (!list.length) {
+          console.log(`⚠️ No issues found for ${options.repo ? `${options.org}/${options.repo}` : `org ${options.org}`}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+
+        const { first, hasComments } = await firstResponses(db, options.org, repoQuery, list);
+        const now = Date.now();
+
+        const rows = [
+          summarize("(all)", list, first, now),
+          ...Object.entries(groupIssues(list, options.by))
+            .map(([group, groupList]) => summarize(group, groupList, first, now))
+            .sort((a, b) => b.issues - a.issues || a.group.localeCompare(b.group)),
+        ];
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `⏱️ Issue Lifecycle: ${options.repo ? `${options.org}/${options.repo}` : options.org}`,
+            headers: [
+              options.by === "label" ? "Label" : "Repo", "Issues", "Open", "Closed",
+              "Median close", "P90 close", "Median first response", "P90 first response", "Unanswered open",
+              ...AGE_BUCKETS.map(([label]) => `Open ${label}`), "Reopened issues", "Reopens",
+            ],
+            rows: rows.map((r) => [
+              r.group, r.issues, r.open, r.closed,
+              formatHours(r.medianCloseHours), formatHours(r.p90CloseHours),
+              formatHours(r.medianResponseHours), formatHours(r.p90ResponseHours), hasComments ? r.unansweredOpen : "",
+              ...AGE_BUCKETS.map(([label]) => r.openAge[label]), r.reopenedIssues, r.reopens,
+            ]),
+            data: { org: options.org, repo: options.repo || null, since: options.since || null, by: options.by, groups: rows },
+          });
+          console.log(`✅ Issue stats exported to ${file}`);
+          return;
+        }
+
+        if (!hasComments) {
+          console.log(`⚠️ No stored comments: run "orgpulse fetch ${options.org} --with-comments" for first-response times.`);
+        }
+        const table = new Table({
+          columns: [
+            { name: "group", title: options.by === "label" ? "Label" : "Repo", alignment: "left" },
+            { name: "issues", title: "Issues", alignment: "right" },
+            { name: "open", title: "Open", alignment: "right" },
+            { name: "close", title: "Close p50/p90", alignment: "right" },
+            { name: "response", title: "1st response p50/p90", alignment: "right" },
+            { name: "unanswered", title: "Unanswered", alignment: "right" },
+            ...AGE_BUCKETS.map(([label]) => ({ name: label, title: label, alignment: "right" })),
+            { name: "reopened", title: "Reopened", alignment: "right" },
+          ],
+        });
+        rows.forEach((r, i) =>
+          table.addRow(
+            {
+              group: r.group,
+              issues: r.issues,
+              open: r.open,
+              close: `${formatHours(r.medianCloseHours)} / ${formatHours(r.p90CloseHours)}`,
+              response: `${formatHours(r.medianResponseHours)} / ${formatHours(r.p90ResponseHours)}`,
+              unanswered: hasComments ? r.unansweredOpen : "-",
+              ...r.openAge,
+              reopened: r.reopenedIssues,
+            },
+            i === 0 ? { color: "cyan" } : undefined
+          )
+        );
+        table.printTable();
+        console.log(`Open-issue age columns count open issues by age; "Unanswered" counts open issues without a maintainer comment.`);
+      } catch (err) {
+        console.error("❌ Error building issue stats:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
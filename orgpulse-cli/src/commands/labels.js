@@ -0,0 +1,107 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { formatHours } from "../utils/stats.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { summarizeLabels, findNearDuplicates } from "../services/labels.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function labelsCommand(program) {
+  program
+    .command("labels")
+    .description("Report label usage, open/closed ratio, time-to-close, unlabeled issues and near-duplicate labels")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--limit <number>", "Number of labels and unlabeled issues to display", "30")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const db = await openStore();
+      try {
+        const issues = await db.collection("issues")
+          .find(
+            { repo: { $regex: `^${options.org}/` } },
+            { projection: { repo: 1, number: 1, title: 1, state: 1, labels: 1, createdAt: 1, closedAt: 1 } }
+          )
+          .toArray();
+        if (!issues.length) {
+          console.log(`⚠️ No issues found for org ${options.org}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+
+        const now = Date.now();
+        const labels = summarizeLabels(issues);
+        const duplicates = findNearDuplicates(labels.map((l) => l.label));
+        const unlabeled = issues
+          .filter((i) => i.state === "open" && !i.labels?.length)
+          .map((i) => ({
+            repo: i.repo,
+            number: i.number,
+            title: i.title,
+            ageDays: Math.floor((now - new Date(i.createdAt).getTime()) / DAY_MS),
+          }))
+          .sort((a, b) => b.ageDays - a.ageDays);
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🏷️ Label Report: ${options.org}`,
+            headers: ["Label", "Issues", "Repos", "Open", "Closed", "Open %", "Median time to close"],
+            rows: labels.map((l) => [l.label, l.issues, l.repos, l.open, l.closed, l.openShare, formatHours(l.medianCloseHours)]),
+            data: { org: options.org, labels, nearDuplicates: duplicates, unlabeledOpen: unlabeled },
+          });
+          console.log(`✅ Label report exported to ${file}`);
+          return;
+        }
+
+        const limit = parseInt(options.limit, 10);
+        console.log(`\n🏷️ ${labels.length} labels on ${issues.length} stored issues of ${options.org}`);
+        const table = new Table({
+          columns: [
+            { name: "label", title: "Label", alignment: "left" },
+            { name: "issues", title: "Issues", alignment: "right" },
+            { name: "repos", title: "Repos", alignment: "right" },
+            { name: "open", title: "Open", alignment: "right" },
+            { name: "closed", title: "Closed", alignment: "right" },
+            { name: "openShare", title: "Open %", alignment: "right" },
+            { name: "medianClose", title: "Median time to close", alignment: "right" },
+          ],
+        });
+        labels.slice(0, limit).forEach((l) =>
+          table.addRow({
+            label: l.label,
+            issues: l.issues,
+            repos: l.repos,
+            open: l.open,
+            closed: l.closed,
+            openShare: `${l.openShare}%`,
+            medianClose: formatHours(l.medianCloseHours),
+          })
+        );
+        table.printTable();
+        if (labels.length > limit) console.log(`  … ${labels.length - limit} more (raise --limit or export)`);
+
+        if (duplicates.length) {
+          console.log(`\n🔁 Near-duplicate label names (${duplicates.length} group(s)):`);
+          duplicates.forEach((g) => console.log(`  ${g.map((n) => `"${n}"`).join(" · ")}`));
+        } else {
+          console.log("\n✅ No near-duplicate label names");
+        }
+
+        if (unlabeled.length) {
+          console.log(`\n🚫 Unlabeled open issues (${unlabeled.length}, oldest first):`);
+          unlabeled.slice(0, limit).forEach((i) => console.log(`  ${i.repo}#${i.number} (${i.ageDays}d) ${i.title}`));
+          if (unlabeled.length > limit) console.log(`  … ${unlabeled.length - limit} more`);
+        } else {
+          console.log("\n✅ Every open issue has a label");
+        }
+      } catch (err) {
+        console.error("❌ Error building label report:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -0,0 +1,122 @@
+import fs from "fs";
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { median, percentile, hoursBetween, formatHours } from "../utils/stats.js";
+
+function summarizeRepo(repo, prs) {
+  const merged = prs.filter((p) => p.mergedAt);
+  const leadTimes = merged.map((p) => hoursBetween(p.createdAt, p.mergedAt));
+  const turnarounds = prs.map((p) => hoursBetween(p.createdAt, p.firstReviewAt));
+
+  return {
+    repo,
+    total: prs.length,
+    open: prs.filter((p) => p.state === "open").length,
+    merged: merged.length,
+    drafts: prs.filter((p) => p.isDraft).length,
+    medianMergeHours: median(leadTimes),
+    p90MergeHours: percentile(leadTimes, 90),
+    medianReviewHours: median(turnarounds),
+    unreviewed: prs.filter((p) => !p.firstReviewAt && p.state === "open").length,
+  };
+}
+
+export default function prsCommand(program) {
+  program
+    .command("prs")
+    .description("Report merge lead time and review turnaround per repo")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--since <date>", "Only include pull requests created after this date (YYYY-MM-DD)")
+    .option("--format <type>", "Export format: json | csv | md")
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const db = await openStore();
+      try {
+        const query = { repo: { $regex: `^${options.org}/` } };
+        if (options.since) query.createdAt = { $gte: new Date(options.since).toISOString() };
+
+        const prs = await db.collection("pull_requests")
+          .find(query, { projection: { repo: 1, state: 1, isDraft: 1, createdAt: 1, mergedAt: 1, firstReviewAt: 1 } })
+          .toArray();
+
+        if (!prs.length) {
+          console.log(`⚠️ No pull requests found for org ${options.org}. Run fetch without --skip-prs first.`);
+          return;
+        }
+
+        const byRepo = {};
+        prs.forEach((p) => {
+          (byRepo[p.repo] = byRepo[p.repo] || []).push(p);
+        });
+        const rows = Object.entries(byRepo)
+          .map(([repo, list]) => summarizeRepo(repo, list))
+          .sort((a, b) => b.total - a.total);
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+
+          if (options.format === "json") {
+            fs.writeFileSync(options.output, JSON.stringify({ org: options.org, repos: rows }, null, 2));
+          } else if (options.format === "csv") {
+            const csvData = [
+              ["Repo", "PRs", "Open", "Merged", "Drafts", "MedianMergeHours", "P90MergeHours", "MedianReviewHours", "Unreviewed"],
+              ...rows.map((r) => [
+                r.repo, r.total, r.open, r.merged, r.drafts,
+                r.medianMergeHours?.toFixed(1) ?? "", r.p90MergeHours?.toFixed(1) ?? "",
+                r.medianReviewHours?.toFixed(1) ?? "", r.unreviewed,
+              ]),
+            ]
+              .map((row) => row.join(","))
+              .join("\n");
+            fs.writeFileSync(options.output, csvData);
+          } else if (options.format === "md") {
+            let md = `# 🔀 Pull Request Report: ${options.org}\n\n`;
+            md += `| Repo | PRs | Merged | Median merge | P90 merge | Median first review | Unreviewed open |\n`;
+            md += `|------|-----|--------|--------------|-----------|---------------------|-----------------|\n`;
+            rows.forEach((r) => {
+              md += `| ${r.repo} | ${r.total} | ${r.merged} | ${formatHours(r.medianMergeHours)} | ${formatHours(r.p90MergeHours)} | ${formatHours(r.medianReviewHours)} | ${r.unreviewed} |\n`;
+            });
+            fs.writeFileSync(options.output, md);
+          } else {
+            console.log("⚠️ Unsupported format. Use json | csv | md");
+            return;
+          }
+
+          console.log(`✅ Pull request report exported to ${options.output}`);
+          return;
+        }
+
+        const table = new Table({
+          columns: [
+            { name: "repo", title: "Repo" },
+            { name: "total", title: "PRs" },
+            { name: "merged", title: "Merged" },
+            { name: "medianMerge", title: "Median Merge" },
+            { name: "p90Merge", title: "P90 Merge" },
+            { name: "medianReview", title: "Median 1st Review" },
+            { name: "unreviewed", title: "Unreviewed Open" },
+          ],
+        });
+        rows.forEach((r) =>
+          table.addRow({
+            repo: r.repo,
+            total: r.total,
+            merged: r.merged,
+            medianMerge: formatHours(r.medianMergeHours),
+            p90Merge: formatHours(r.p90MergeHours),
+            medianReview: formatHours(r.medianReviewHours),
+            unreviewed: r.unreviewed,
+          })
+        );
+        table.printTable();
+      } catch (err) {
+        console.error("❌ Error building pull request report:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -1,11 +1,13 @@
-import axios from "axios";
 import fs from "fs";
+import path from "path";
 import inquirer from "inquirer";
 import { Table } from "console-table-printer";
+import { loadOrgRepos } from "../services/repoSource.js";
+import { getSettings } from "../utils/config.js";
 
 export default function reportCommand(program) {
   program
-    .command("report <org>")
+    .command("report [org]")
     .description("Generate a repo report")
     .option("--top <n>", "Limit number of repos", parseInt)
     .option("--format <type>", "Export format: json | csv | md | html | console")
@@ -16,6 +18,8 @@ export default function reportCommand(program) {
     .option("--or", "Use OR instead of AND for filtering")
     .option("--sort <fields...>", "Sort by: stars, forks (multiple allowed)")
     .option("--interactive", "Run in interactive mode")
+    .option("--source <source>", "Where to read repos from: db | api", "db")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
     .action(async (org, options) => {
       console.log(`📊 Generating report for: ${org}`);
 
@@ -84,22 +88,20 @@ export default function reportCommand(program) {
         options.output = answers.output || undefined;
       }
 
+      // --- Profile output defaults ---
+      const { outputFormat, outputDir } = getSettings();
+      options.format = options.format || outputFormat || undefined;
+      if (options.format && options.format !== "console" && !options.output && outputDir) {
+        options.output = path.join(outputDir, `${org}-report`);
+      }
+
       // === Fetch Repos ===
       let repos = [];
       try {
-        const url = `https://api.github.com/orgs/${org}/repos?per_page=100`;
-        const res = await axios.get(url);
-        repos = res.data.map((repo) => ({
-          name: repo.name,
-          stars: repo.stargazers_count,
-          forks: repo.forks_count,
-          language: repo.language || "Unknown",
-          url: repo.html_url,
-        }));
+        repos = await loadOrgRepos(org, options.source, { includeRemoved: options.includeRemoved });
       } catch (err) {
-        console.error(
-          "❌ Failed to fetch repositories. Check org name or API rate limit."
-        );
+        console.error(`❌ Failed to load repositories: ${err.message}`);
+        process.exitCode = 1;
         return;
       }
 
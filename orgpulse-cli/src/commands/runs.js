@@ -0,0 +1,157 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { FetchRun, isLockLive, repoName } from "../db/fetchRuns.js";
+import { handleFetchAction } from "./fetch.js";
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().replace("T", " ").slice(0, 19) : "-";
+}
+
+// Repos finished per phase, from the run's per-repo progress
+function progressCounts(run) {
+  const repos = Object.values(run.repos || {});
+  return {
+    issues: repos.filter((r) => r.issues?.done).length,
+    pullRequests: repos.filter((r) => r.pullRequests?.done).length,
+    commits: repos.filter((r) => r.commits?.done).length,
+  };
+}
+
+function statusLabel(run) {
+  if (run.status === "running" && !isLockLive(run)) return "running (stale)";
+  return run.status;
+}
+
+async function withStore(fn) {
+  try {
+    const db = await openStore();
+    await fn(db);
+  } catch (err) {
+    console.error("❌ Error:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await closeStore();
+  }
+}
+
+export default function runsCommand(program) {
+  const runs = program
+    .command("runs")
+    .description("List, inspect, resume or cancel fetch runs");
+
+  runs
+    .command("list")
+    .description("List recent fetch runs")
+    .option("--org <org>", "Only runs of this organization (defaults to the active profile org)")
+    .option("--all-orgs", "Runs of every organization")
+    .option("--status <status>", "Only runs with this status (running | failed | cancelled | completed)")
+    .option("--limit <n>", "Number of runs to show", "20")
+    .action((opts) => withStore(async (db) => {
+      const list = await FetchRun.list(db, { org: opts.allOrgs ? null : opts.org, status: opts.status, limit: parseInt(opts.limit) });
+      if (!list.length) {
+        console.log("⚠️ No fetch runs recorded yet");
+        return;
+      }
+
+      const table = new Table({
+        columns: [
+          { name: "runId", title: "Run", alignment: "left" },
+          { name: "org", title: "Org", alignment: "left" },
+          { name: "status", title: "Status", alignment: "left" },
+          { name: "phase", title: "Phase", alignment: "left" },
+          { name: "repos", title: "Repos", alignment: "right" },
+          { name: "issues", title: "Issues done", alignment: "right" },
+          { name: "prs", title: "PRs done", alignment: "right" },
+          { name: "commits", title: "Commits done", alignment: "right" },
+          { name: "errors", title: "Errors", alignment: "right" },
+          { name: "startedAt", title: "Started", alignment: "left" },
+          { name: "updatedAt", title: "Updated", alignment: "left" },
+        ],
+      });
+      list.forEach((run) => {
+        const done = progressCounts(run);
+        table.addRow({
+          runId: run.runId,
+          org: run.org,
+          status: statusLabel(run),
+          phase: run.phase,
+          repos: run.cursors?.repos?.count || 0,
+          issues: done.issues,
+          prs: done.pullRequests,
+          commits: done.commits,
+          errors: run.errors?.length || 0,
+          startedAt: formatDate(run.startedAt),
+          updatedAt: formatDate(run.updatedAt),
+        });
+      });
+      table.printTable();
+    }));
+
+  runs
+    .command("show <runId>")
+    .description("Show phase, options, per-repo progress and errors of a run")
+    .option("--errors <n>", "Number of most recent errors to show", "20")
+    .action((runId, opts) => withStore(async (db) => {
+      const found = await FetchRun.find(db, runId);
+      if (!found) throw new Error(`Run ${runId} not found`);
+      const run = found.doc;
+      const done = progressCounts(run);
+      const tracked = Object.keys(run.repos || {}).length;
+
+      console.log(`🧾 Run ${run.runId} for ${run.org}`);
+      console.log(`Status:    ${statusLabel(run)}`);
+      console.log(`Phase:     ${run.phase}`);
+      console.log(`Options:   ${JSON.stringify(run.options || {})}`);
+      console.log(`Started:   ${formatDate(run.startedAt)}`);
+      console.log(`Updated:   ${formatDate(run.updatedAt)}`);
+      console.log(`Finished:  ${formatDate(run.finishedAt)}`);
+      console.log(`Lock:      ${run.lock ? `pid ${run.lock.pid} on ${run.lock.host}${isLockLive(run) ? "" : " (stale)"}` : "-"}`);
+      console.log(`Repos:     ${run.cursors?.repos?.count || 0} listed${run.cursors?.repos?.endCursor ? ` (cursor ${run.cursors.repos.endCursor})` : ""}`);
+      console.log(`Issues:    ${done.issues}/${tracked} repos done`);
+      console.log(`PRs:       ${done.pullRequests}/${tracked} repos done`);
+      console.log(`Commits:   ${done.commits}/${tracked} repos done`);
+
+      const inProgress = Object.entries(run.repos || {}).filter(
+        ([, p]) => ["issues", "pullRequests", "commits"].some((kind) => p[kind] && !p[kind].done)
+      );
+      if (inProgress.length) {
+        console.log("\n⏳ Repos in progress:");
+        inProgress.forEach(([key, p]) => {
+          const part = (kind) => (p[kind] ? `${kind} ${p[kind].count || 0}${p[kind].done ? " ✓" : ""}` : null);
+          console.log(`  ${repoName(key)}: ${[part("issues"), part("pullRequests"), part("commits")].filter(Boolean).join(", ")}`);
+        });
+      }
+
+      const errors = (run.errors || []).slice(-parseInt(opts.errors));
+      if (errors.length) {
+        console.log(`\n❌ Errors (${errors.length} of ${run.errors.length}):`);
+        errors.forEach((e) => console.log(`  ${formatDate(e.at)} [${e.phase}${e.repo ? ` ${e.repo}` : ""}] ${e.message}`));
+      }
+    }));
+
+  runs
+    .command("resume <runId>")
+    .description("Continue a failed, interrupted or cancelled run where it stopped")
+    .action(async (runId) => {
+      let org;
+      await withStore(async (db) => {
+        const run = await FetchRun.find(db, runId);
+        if (!run) throw new Error(`Run ${runId} not found`);
+        org = run.doc.org;
+      });
+      if (org) await handleFetchAction(org, { runId });
+    });
+
+  runs
+    .command("cancel <runId>")
+    .description("Cancel a run; a fetch still working on it stops at its next progress save")
+    .action((runId) => withStore(async (db) => {
+      const run = await FetchRun.find(db, runId);
+      if (!run) throw new Error(`Run ${runId} not found`);
+      if (!(await FetchRun.cancel(db, runId))) {
+        throw new Error(`Run ${runId} is ${run.doc.status} and cannot be cancelled`);
+      }
+      const live = run.doc.status === "running" && isLockLive(run.doc);
+      console.log(`🛑 Run ${runId} cancelled${live ? ` (pid ${run.doc.lock.pid} will stop shortly)` : ""}`);
+    }));
+}
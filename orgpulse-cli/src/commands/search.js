@@ -0,0 +1,181 @@
+import chalk from "chalk";
+import { openStore, closeStore, mongoOnlyError } from "../storage/index.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { repoWebUrl } from "../github/endpoints.js";
+
+const TYPES = ["issues", "repos", "all"];
+const STATES = ["open", "closed"];
+const SNIPPET_CHARS = 120;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Words and "phrases" of a $text query, without negated terms, for snippets
+function queryTerms(query) {
+  return (query.match(/"[^"]+"|\S+/g) || [])
+    .filter((t) => !t.startsWith("-"))
+    .map((t) => t.replace(/"/g, "").trim())
+    .filter(Boolean);
+}
+
+// Query terms match as word prefixes, close to what the stemmed text index matched
+function termPattern(terms) {
+  return new RegExp(`\\b(?:${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+}
+
+function highlight(text, terms, mark) {
+  return terms.length ? text.replace(termPattern(terms), (m) => mark(m)) : text;
+}
+
+// Part of `text` around the first query term, with every term marked by `mark`
+function snippet(text, terms, mark = (s) => s) {
+  if (!text || !terms.length) return null;
+  const flat = text.replace(/\s+/g, " ").trim();
+  const hit = flat.search(termPattern(terms));
+  if (hit === -1) return null;
+
+  const start = Math.max(0, hit - SNIPPET_CHARS / 3);
+  const end = Math.min(flat.length, start + SNIPPET_CHARS);
+  return `${start > 0 ? "…" : ""}${highlight(flat.slice(start, end), terms, mark)}${end < flat.length ? "…" : ""}`;
+}
+
+function searchRepos(db, options, textQuery) {
+  const filter = { $text: { $search: textQuery }, org: options.org };
+  if (!options.includeRemoved) filter.removed = { $ne: true };
+  return db.collection("repos")
+    .find(filter, { projection: { org: 1, name: 1, description: 1, topics: 1, stars: 1, score: { $meta: "textScore" } } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(options.limit)
+    .toArray();
+}
+
+function searchIssues(db, options, textQuery) {
+  const filter = { $text: { $search: textQuery }, repo: { $regex: `^${options.org}/` } };
+  if (options.state) filter.state = options.state;
+  if (options.label) filter.labels = { $regex: `^${escapeRegex(options.label)}$`, $options: "i" };
+  return db.collection("issues")
+    .find(filter, { projection: { repo: 1, number: 1, title: 1, body: 1, state: 1, labels: 1, score: { $meta: "textScore" } } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(options.limit)
+    .toArray();
+}
+
+export default function searchCommand(program) {
+  program
+    .command("search <query>")
+    .description("Full-text search over stored issues and repositories (MongoDB text indexes from `init`)")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--type <type>", `What to search: ${TYPES.join(" | ")}`, "all")
+    .option("--state <state>", `Only issues in this state: ${STATES.join(" | ")}`)
+    .option("--label <name>", "Only issues with this label")
+    .option("--include-removed", "Also search repos that were deleted or transferred away")
+    .option("--limit <number>", "Maximum results per type", "20")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (query, options) => {
+      if (!TYPES.includes(options.type)) {
+        console.error(`❌ Unknown --type '${options.type}'. Use ${TYPES.join(" | ")}`);
+        process.exitCode = 1;
+        return;
+      }
+      if (options.state && !STATES.includes(options.state)) {
+        console.error(`❌ Unknown --state '${options.state}'. Use ${STATES.join(" | ")}`);
+        process.exitCode = 1;
+        return;
+      }
+      // Issue filters only make sense for issues
+      const type = options.type === "all" && (options.state || options.label) ? "issues" : options.type;
+      options.limit = parseInt(options.limit, 10);
+      const terms = queryTerms(query);
+
+      const unsupported = mongoOnlyError("search", "MongoDB text indexes");
+      if (unsupported) {
+        console.error(`❌ ${unsupported}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const [repos, issues] = await Promise.all([
+          type === "issues" ? [] : searchRepos(db, options, query),
+          type === "repos" ? [] : searchIssues(db, options, query),
+        ]);
+
+        const repoResults = repos.map((r) => ({
+          type: "repo",
+          name: r.name,
+          score: Math.round(r.score * 100) / 100,
+          stars: r.stars,
+          description: r.description || null,
+          topics: r.topics || [],
+          snippet: snippet(r.description, terms),
+          url: repoWebUrl(r.org, r.name),
+        }));
+        const issueResults = issues.map((i) => ({
+          type: "issue",
+          repo: i.repo,
+          number: i.number,
+          title: i.title,
+          state: i.state,
+          labels: i.labels || [],
+          score: Math.round(i.score * 100) / 100,
+          snippet: snippet(i.body, terms),
+          url: `${repoWebUrl(...i.repo.split("/"))}/issues/${i.number}`,
+        }));
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🔎 Search "${query}": ${options.org}`,
+            headers: ["Type", "Result", "Score", "Title / description", "Snippet", "Topics / labels", "URL"],
+            rows: [
+              ...repoResults.map((r) => ["repo", r.name, r.score, r.description || "", r.snippet || "", r.topics.join(", "), r.url]),
+              ...issueResults.map((i) => ["issue", `${i.repo}#${i.number}`, i.score, i.title, i.snippet || "", i.labels.join(", "), i.url]),
+            ],
+            data: { org: options.org, query, type, repos: repoResults, issues: issueResults },
+          });
+          console.log(`✅ ${repoResults.length + issueResults.length} search result(s) exported to ${file}`);
+          return;
+        }
+
+        if (!repoResults.length && !issueResults.length) {
+          console.log(`🔎 No stored ${type === "all" ? "repos or issues" : type} of ${options.org} match "${query}"`);
+          return;
+        }
+
+        const mark = (s) => chalk.bold.yellow(s);
+        if (repoResults.length) {
+          console.log(`\n📦 Repositories (${repoResults.length}):`);
+          repoResults.forEach((r, n) => {
+            console.log(`${String(n + 1).padStart(3)}. ${chalk.bold(r.name)}  ⭐ ${r.stars ?? 0}  score ${r.score.toFixed(2)}`);
+            if (r.description) console.log(`     ${snippet(r.description, terms, mark) || r.description}`);
+            if (r.topics.length) console.log(`     topics: ${highlight(r.topics.join(", "), terms, mark)}`);
+            console.log(`     ${chalk.dim(r.url)}`);
+          });
+        }
+        if (issueResults.length) {
+          console.log(`\n🐛 Issues (${issueResults.length}):`);
+          issueResults.forEach((i, n) => {
+            console.log(`${String(n + 1).padStart(3)}. ${i.repo}#${i.number} [${i.state}] ${highlight(i.title, terms, mark)}  score ${i.score.toFixed(2)}`);
+            if (i.snippet) console.log(`     ${snippet(issues[n].body, terms, mark)}`);
+            if (i.labels.length) console.log(`     labels: ${i.labels.join(", ")}`);
+            console.log(`     ${chalk.dim(i.url)}`);
+          });
+        }
+      } catch (err) {
+        if (err.codeName === "IndexNotFound" || /text index required/i.test(err.message)) {
+          console.error(`❌ No text index yet: run "orgpulse init" to create the search indexes.`);
+        } else {
+          console.error("❌ Error searching:", err.message);
+        }
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -0,0 +1,148 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { loadSlaPolicy, evaluateSla } from "../services/sla.js";
+import { firstResponses } from "../services/responses.js";
+import { formatHours } from "../utils/stats.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+
+// Exit codes: 0 = breaches within the threshold, 1 = too many breaches, 2 = the check could not run
+const EXIT_BREACHES = 1;
+const EXIT_ERROR = 2;
+
+// Breach / at-risk counts per repo and label
+function groupFindings(findings) {
+  const groups = {};
+  findings.forEach((f) => {
+    const key = `${f.issue.repo}\u0000${f.label}`;
+    const group = (groups[key] = groups[key] || { repo: f.issue.repo, label: f.label, breached: 0, atRisk: 0 });
+    if (f.status === "breached") group.breached++;
+    else group.atRisk++;
+  });
+  return Object.values(groups).sort((a, b) => a.repo.localeCompare(b.repo) || a.label.localeCompare(b.label));
+}
+
+export default function slaCommand(program) {
+  program
+    .command("sla")
+    .description("List open issues that breach or are about to breach the response/closure SLAs of their labels")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--repo <name>", "Limit to a single repository")
+    .requiredOption("--policy <file>", "SLA policy file (YAML or JSON)")
+    .option("--max-breaches <n>", "Breached issues tolerated before exiting non-zero (overrides the policy's maxBreaches)")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      let policy;
+      let maxBreaches;
+      try {
+        policy = loadSlaPolicy(options.policy);
+        maxBreaches = options.maxBreaches === undefined ? policy.maxBreaches : Number(options.maxBreaches);
+        if (!(Number.isInteger(maxBreaches) && maxBreaches >= 0)) throw new Error("--max-breaches must be an integer >= 0");
+        if (options.format && !options.output) throw new Error("Please provide --output <file> to save the export");
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = EXIT_ERROR;
+        return;
+      }
+
+      const target = options.repo ? `${options.org}/${options.repo}` : options.org;
+      const db = await openStore();
+      try {
+        const repoQuery = options.repo ? { repo: target } : { repo: { $regex: `^${options.org}/` } };
+        const issues = await db.collection("issues")
+          .find({ ...repoQuery, state: "open" }, { projection: { repo: 1, number: 1, title: 1, state: 1, labels: 1, author: 1, createdAt: 1 } })
+          .toArray();
+        if (!issues.length) {
+          console.log(`✅ No open issues stored for ${target}. Run "orgpulse fetch ${options.org}" to refresh.`);
+          return;
+        }
+
+        const needsResponses = policy.slas.some((s) => s.respondHours !== null);
+        const { first, hasComments } = needsResponses
+          ? await firstResponses(db, options.org, repoQuery, issues)
+          : { first: {}, hasComments: false };
+        if (needsResponses && !hasComments) {
+          console.log(`⚠️ No stored comments: respondWithin is skipped. Run "orgpulse fetch ${options.org} --with-comments" to check it.`);
+        }
+
+        const findings = evaluateSla(policy, issues, hasComments ? first : null)
+          .sort((a, b) => a.issue.repo.localeCompare(b.issue.repo) || a.label.localeCompare(b.label) || b.ageHours - a.ageHours);
+        const groups = groupFindings(findings);
+        const breachedIssues = new Set(findings.filter((f) => f.status === "breached").map((f) => `${f.issue.repo}#${f.issue.number}`));
+        const atRisk = findings.filter((f) => f.status === "at-risk").length;
+
+        if (options.format) {
+          const file = writeExport(options.format, options.output, {
+            title: `⏰ SLA Report: ${target}`,
+            headers: ["Repo", "Label", "Issue", "Title", "Status", "Age", "Reasons"],
+            rows: findings.map((f) => [f.issue.repo, f.label, f.issue.number, f.issue.title, f.status, formatHours(f.ageHours), f.reasons.join("; ")]),
+            data: {
+              org: options.org,
+              repo: options.repo || null,
+              policy: policy.file,
+              maxBreaches,
+              breachedIssues: breachedIssues.size,
+              groups,
+              findings: findings.map((f) => ({
+                repo: f.issue.repo,
+                number: f.issue.number,
+                title: f.issue.title,
+                label: f.label,
+                status: f.status,
+                createdAt: f.issue.createdAt,
+                reasons: f.reasons,
+              })),
+            },
+          });
+          console.log(`✅ SLA report exported to ${file}`);
+        } else if (findings.length) {
+          const groupTable = new Table({
+            columns: [
+              { name: "repo", title: "Repo", alignment: "left" },
+              { name: "label", title: "Label", alignment: "left" },
+              { name: "breached", title: "Breached", alignment: "right" },
+              { name: "atRisk", title: "At risk", alignment: "right" },
+            ],
+          });
+          groups.forEach((g) => groupTable.addRow(g, { color: g.breached ? "red" : "yellow" }));
+          groupTable.printTable();
+
+          const table = new Table({
+            columns: [
+              { name: "issue", title: "Issue", alignment: "left" },
+              { name: "label", title: "Label", alignment: "left" },
+              { name: "status", title: "Status", alignment: "left" },
+              { name: "reasons", title: "Reasons", alignment: "left" },
+              { name: "title", title: "Title", alignment: "left" },
+            ],
+          });
+          findings.forEach((f) =>
+            table.addRow(
+              {
+                issue: `${f.issue.repo}#${f.issue.number}`,
+                label: f.label,
+                status: f.status,
+                reasons: f.reasons.join("; "),
+                title: f.issue.title?.length > 50 ? `${f.issue.title.slice(0, 47)}...` : f.issue.title,
+              },
+              { color: f.status === "breached" ? "red" : "yellow" }
+            )
+          );
+          table.printTable();
+        }
+
+        console.log(`\n⏰ Checked ${issues.length} open issue(s) of ${target} against ${policy.slas.length} SLA(s): ${breachedIssues.size} issue(s) breached, ${atRisk} at risk`);
+        if (breachedIssues.size > maxBreaches) {
+          console.log(`❌ SLA check failed: ${breachedIssues.size} breached issue(s), ${maxBreaches} allowed`);
+          process.exitCode = EXIT_BREACHES;
+        } else {
+          console.log("✅ SLA check passed");
+        }
+      } catch (err) {
+        console.error("❌ Error checking SLAs:", err.message);
+        process.exitCode = EXIT_ERROR;
+      } finally {
+        await closeStore();
+      }
+    });
+}
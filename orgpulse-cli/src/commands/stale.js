@@ -0,0 +1,179 @@
+import fs from "fs";
+import { Table } from "console-table-printer";
+import { InvalidArgumentError } from "commander";
+import { openStore, closeStore } from "../storage/index.js";
+import { RepoModel } from "./db/model.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+import { repoWebUrl } from "../github/endpoints.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLASSES = ["active", "dormant", "stale", "abandoned"];
+const ARCHIVE_CANDIDATES = ["stale", "abandoned"];
+const CLASS_COLORS = { active: "green", dormant: "cyan", stale: "yellow", abandoned: "red", archived: "white" };
+
+function parseDays(value) {
+  const days = parseInt(value, 10);
+  if (!Number.isInteger(days) || days <= 0) throw new InvalidArgumentError("Expected a positive number of days.");
+  return days;
+}
+
+function daysSince(date, now) {
+  return date ? Math.floor((now - new Date(date).getTime()) / DAY_MS) : null;
+}
+
+// Newest issue update per repo name, from the `issues` collection
+async function lastIssueActivity(db, org) {
+  const issues = await db.collection("issues")
+    .find({ repo: { $regex: `^${org}/` } }, { projection: { repo: 1, updatedAt: 1 } })
+    .toArray();
+  const latest = {};
+  issues.forEach((i) => {
+    const name = i.repo.slice(org.length + 1);
+    if (i.updatedAt && (!latest[name] || i.updatedAt > latest[name])) latest[name] = i.updatedAt;
+  });
+  return latest;
+}
+
+/**
+ * Classify a repo by days since its latest activity: the newer of its last push and
+ * its newest issue update. Open issues nobody touched are part of the evidence.
+ */
+function classify(repo, issueActivity, thresholds, now) {
+  const pushDays = daysSince(repo.pushedAt, now);
+  const issueDays = daysSince(issueActivity, now);
+  const idle = [pushDays, issueDays].filter((d) => d !== null);
+  const idleDays = idle.length ? Math.min(...idle) : null;
+
+  let status;
+  if (repo.isArchived) status = "archived";
+  else if (idleDays === null || idleDays > thresholds.abandoned) status = "abandoned";
+  else if (idleDays > thresholds.stale) status = "stale";
+  else if (idleDays > thresholds.dormant) status = "dormant";
+  else status = "active";
+
+  const evidence = [
+    pushDays === null ? "never pushed" : `no push for ${pushDays} days`,
+    issueDays === null ? "no stored issue activity" : `no issue activity for ${issueDays} days`,
+  ];
+  if (repo.openIssues) evidence.push(`${repo.openIssues} open issue(s) waiting`);
+
+  return {
+    name: repo.name,
+    status,
+    idleDays,
+    pushDays,
+    issueDays,
+    openIssues: repo.openIssues || 0,
+    url: repoWebUrl(repo.org, repo.name),
+    evidence,
+  };
+}
+
+function toChecklist(org, candidates, thresholds, now) {
+  let md = `# 🗄️ Archive candidates: ${org}\n\n`;
+  md += `Generated ${new Date(now).toISOString().slice(0, 10)} by \`orgpulse stale\`. `;
+  md += `Stale = no activity for more than ${thresholds.stale} days, abandoned = more than ${thresholds.abandoned} days.\n\n`;
+  md += "For each repo: confirm with its owners, close or transfer the open issues, then archive it or tick it off as still needed.\n";
+  ["abandoned", "stale"].forEach((status) => {
+    const rows = candidates.filter((c) => c.status === status);
+    if (!rows.length) return;
+    md += `\n## ${status} (${rows.length})\n\n`;
+    rows.forEach((c) => {
+      md += `- [ ] **[${c.name}](${c.url})**: ${c.evidence.join(", ")}\n`;
+    });
+  });
+  return md;
+}
+
+export default function staleCommand(program) {
+  program
+    .command("stale")
+    .description("Classify repos as active, dormant, stale or abandoned and list archive candidates")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--dormant-days <n>", "Days without activity before a repo is dormant", parseDays, 90)
+    .option("--stale-days <n>", "Days without activity before a repo is stale", parseDays, 180)
+    .option("--abandoned-days <n>", "Days without activity before a repo is abandoned", parseDays, 365)
+    .option("--include-archived", "Also list repos that are already archived")
+    .option("--checklist <file>", "Write a markdown checklist of archive candidates for repo owners")
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const thresholds = { dormant: options.dormantDays, stale: options.staleDays, abandoned: options.abandonedDays };
+      if (!(thresholds.dormant < thresholds.stale && thresholds.stale < thresholds.abandoned)) {
+        console.error("❌ Thresholds must increase: --dormant-days < --stale-days < --abandoned-days");
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const repos = await RepoModel.findByOrg(options.org, { limit: 0 });
+        if (!repos.length) {
+          console.log(`⚠️ No repositories found for org ${options.org}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+
+        const now = Date.now();
+        const issueActivity = await lastIssueActivity(db, options.org);
+        const rows = repos
+          .map((r) => classify(r, issueActivity[r.name], thresholds, now))
+          .filter((r) => options.includeArchived || r.status !== "archived")
+          .sort((a, b) => (b.idleDays ?? Infinity) - (a.idleDays ?? Infinity));
+        const candidates = rows.filter((r) => ARCHIVE_CANDIDATES.includes(r.status));
+
+        if (options.checklist) {
+          fs.writeFileSync(options.checklist, toChecklist(options.org, candidates, thresholds, now));
+          console.log(`📝 Checklist of ${candidates.length} archive candidate(s) written to ${options.checklist}`);
+        }
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `🕸️ Repository Staleness: ${options.org}`,
+            headers: ["Repo", "Status", "Days since push", "Days since issue activity", "Open issues", "Evidence"],
+            rows: rows.map((r) => [r.name, r.status, r.pushDays ?? "", r.issueDays ?? "", r.openIssues, r.evidence.join("; ")]),
+            data: { org: options.org, thresholds, repos: rows },
+          });
+          console.log(`✅ Staleness report exported to ${file}`);
+          return;
+        }
+
+        const counts = [...CLASSES, ...(options.includeArchived ? ["archived"] : [])]
+          .map((c) => `${rows.filter((r) => r.status === c).length} ${c}`);
+        console.log(`\n🕸️ ${options.org}: ${counts.join(", ")}`);
+
+        const table = new Table({
+          columns: [
+            { name: "name", title: "Repo", alignment: "left" },
+            { name: "status", title: "Status", alignment: "left" },
+            { name: "push", title: "Last push", alignment: "right" },
+            { name: "issues", title: "Last issue activity", alignment: "right" },
+            { name: "open", title: "Open issues", alignment: "right" },
+          ],
+        });
+        const ago = (days) => (days === null ? "-" : `${days}d ago`);
+        rows.forEach((r) =>
+          table.addRow(
+            { name: r.name, status: r.status, push: ago(r.pushDays), issues: ago(r.issueDays), open: r.openIssues },
+            { color: CLASS_COLORS[r.status] }
+          )
+        );
+        table.printTable();
+
+        if (candidates.length) {
+          console.log(`\n🗄️ Archive candidates (${candidates.length}):`);
+          candidates.forEach((c) => console.log(`  ${c.name} [${c.status}]: ${c.evidence.join(", ")}`));
+        } else {
+          console.log("\n✅ No archive candidates");
+        }
+      } catch (err) {
+        console.error("❌ Error classifying repositories:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -1,16 +1,17 @@
-import { Octokit } from "octokit";
-import { connectToMongo, closeConnection } from "../db/connection.js";
+import { openStore, closeStore } from "../storage/index.js";
+import { recordSnapshots } from "../db/snapshots.js";
+import { GitHubClient } from "../github/client.js";
 
 export default function syncStarsCommand(program) {
   program
     .command("sync-stars")
     .description("Refresh stars/forks for repos you already have")
-    .requiredOption("--org <org>", "GitHub organization name")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
     .action(async (options) => {
-      const db = await connectToMongo();
-      const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+      const db = await openStore();
       try {
-        const repos = await db.collection("repos").find({ org: options.org }).toArray();
+        const github = await GitHubClient.create({ org: options.org });
+        const repos = await db.collection("repos").find({ org: options.org, removed: { $ne: true } }).toArray();
         if (!repos.length) {
           console.log(`⚠️ No repositories found for org ${options.org}`);
           return;
@@ -18,24 +19,38 @@ export default function syncStarsCommand(program) {
 
         console.log(`🔄 Refreshing stars/forks for ${options.org} repos...`);
         let updatedCount = 0;
+        let snapshotCount = 0;
+        const failed = [];
 
+        // Each repo is stored as soon as it is fetched, so one failing repo does not lose the others
         for (const repo of repos) {
-          const res = await octokit.rest.repos.get({ owner: options.org, repo: repo.name });
-          const { stargazers_count, forks_count } = res.data;
+          try {
+            const res = await github.request("GET /repos/{owner}/{repo}", { owner: options.org, repo: repo.name });
+            const { stargazers_count, forks_count } = res.data;
 
-          await db.collection("repos").updateOne(
-            { org: options.org, name: repo.name },
-            { $set: { stars: stargazers_count, forks: forks_count } }
-          );
-          updatedCount++;
-          console.log(`Updated ${repo.name}: stars ${repo.stars} → ${stargazers_count}, forks ${repo.forks} → ${forks_count}`);
+            await db.collection("repos").updateOne(
+              { org: options.org, name: repo.name },
+              { $set: { stars: stargazers_count, forks: forks_count } }
+            );
+            snapshotCount += await recordSnapshots(db, options.org, [{ name: repo.name, stars: stargazers_count, forks: forks_count }], "sync-stars");
+            updatedCount++;
+            console.log(`Updated ${repo.name}: stars ${repo.stars} → ${stargazers_count}, forks ${repo.forks} → ${forks_count}`);
+          } catch (err) {
+            failed.push(repo.name);
+            console.error(`❌ ${repo.name}: ${err.message}`);
+          }
         }
 
-        console.log(`✅ Updated ${updatedCount} repositories`);
+        console.log(`✅ Updated ${updatedCount} repositories (${snapshotCount} snapshots recorded)`);
+        if (failed.length) {
+          console.error(`❌ ${failed.length} repo(s) could not be refreshed: ${failed.join(", ")}`);
+          process.exitCode = 1;
+        }
       } catch (err) {
         console.error("❌ Error syncing stars/forks:", err.message);
+        process.exitCode = 1;
       } finally {
-        await closeConnection();
+        await closeStore();
       }
     });
 }
@@ -0,0 +1,140 @@
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { RepoModel } from "./db/model.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+
+// Team permissions that make a team an owner of the repo
+const OWNER_PERMISSIONS = ["admin", "maintain"];
+
+function buildAccessMap(repos, grants) {
+  const byRepo = Object.fromEntries(repos.map((r) => [r.name, { repo: r.name, owners: [], teams: [], direct: [] }]));
+  grants.forEach((g) => {
+    const entry = byRepo[g.repo];
+    if (!entry) return;
+    if (g.via === "direct") entry.direct.push(`${g.login} (${g.permission})`);
+    else if (OWNER_PERMISSIONS.includes(g.permission)) entry.owners.push(g.team);
+    else entry.teams.push(`${g.team} (${g.permission})`);
+  });
+  return Object.values(byRepo).sort((a, b) => a.repo.localeCompare(b.repo));
+}
+
+// Repos each user administers through a team, a direct grant or org ownership
+function rankAdmins(repos, teams, members, grants) {
+  const adminRepos = {};
+  const add = (login, repo) => (adminRepos[login] = adminRepos[login] || new Set()).add(repo);
+  const teamMembers = Object.fromEntries(teams.map((t) => [t.slug, t.members || []]));
+  const repoNames = new Set(repos.map((r) => r.name));
+
+  grants
+    .filter((g) => g.permission === "admin" && repoNames.has(g.repo))
+    .forEach((g) => {
+      if (g.via === "direct") add(g.login, g.repo);
+      else (teamMembers[g.team] || []).forEach((m) => add(m.login, g.repo));
+    });
+  const owners = new Set(members.filter((m) => m.role === "admin").map((m) => m.login));
+  owners.forEach((login) => repos.forEach((r) => add(login, r.name)));
+
+  return Object.entries(adminRepos)
+    .map(([login, set]) => ({ login, repos: set.size, orgOwner: owners.has(login) }))
+    .sort((a, b) => b.repos - a.repos || a.login.localeCompare(b.login));
+}
+
+export default function teamsCommand(program) {
+  program
+    .command("teams")
+    .description("Show which teams own which repos, repos without team access and the users with admin on most repos")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--limit <number>", "Number of admins to display", "10")
+    .option("--format <type>", `Export format for the repo access map: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const db = await openStore();
+      try {
+        const [repos, teams, members, grants] = await Promise.all([
+          RepoModel.findByOrg(options.org, { limit: 0 }),
+          db.collection("teams").find({ org: options.org }).toArray(),
+          db.collection("members").find({ org: options.org }).toArray(),
+          db.collection("repo_access").find({ org: options.org }).toArray(),
+        ]);
+        if (!members.length && !teams.length) {
+          console.log(`⚠️ No members or teams stored for org ${options.org}. Run "orgpulse fetch ${options.org}" with a token that has read:org.`);
+          return;
+        }
+
+        const accessMap = buildAccessMap(repos, grants);
+        const noTeam = accessMap.filter((r) => !r.owners.length && !r.teams.length);
+        const admins = rankAdmins(repos, teams, members, grants);
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `👥 Repo Access: ${options.org}`,
+            headers: ["Repo", "Owning teams", "Other teams", "Direct collaborators"],
+            rows: accessMap.map((r) => [r.repo, r.owners.join(", "), r.teams.join(", "), r.direct.join(", ")]),
+            data: {
+              org: options.org,
+              teams: teams.map((t) => ({ slug: t.slug, name: t.name, parent: t.parent, members: t.members })),
+              repos: accessMap,
+              reposWithoutTeam: noTeam.map((r) => r.repo),
+              admins,
+            },
+          });
+          console.log(`✅ Repo access map exported to ${file}`);
+          return;
+        }
+
+        const owners = members.filter((m) => m.role === "admin").length;
+        console.log(`\n👥 ${options.org}: ${members.length} members (${owners} owners), ${teams.length} teams`);
+
+        const teamTable = new Table({
+          columns: [
+            { name: "team", title: "Team", alignment: "left" },
+            { name: "members", title: "Members", alignment: "right" },
+            { name: "owns", title: "Owns (admin/maintain)", alignment: "left" },
+            { name: "other", title: "Other repos", alignment: "right" },
+          ],
+        });
+        teams
+          .sort((a, b) => a.slug.localeCompare(b.slug))
+          .forEach((t) => {
+            const own = grants.filter((g) => g.team === t.slug && OWNER_PERMISSIONS.includes(g.permission)).map((g) => g.repo);
+            teamTable.addRow({
+              team: t.parent ? `${t.parent}/${t.slug}` : t.slug,
+              members: t.members?.length || 0,
+              owns: own.sort().join(", ") || "-",
+              other: grants.filter((g) => g.team === t.slug).length - own.length,
+            });
+          });
+        teamTable.printTable();
+
+        if (noTeam.length) {
+          console.log(`\n🚫 Repos without any team access (${noTeam.length}):`);
+          noTeam.forEach((r) => console.log(`  ${r.repo}${r.direct.length ? ` (direct: ${r.direct.join(", ")})` : ""}`));
+        } else {
+          console.log("\n✅ Every repo is accessible to at least one team");
+        }
+
+        const limit = parseInt(options.limit, 10);
+        console.log(`\n🔑 Users with admin on the most repos (of ${repos.length}):`);
+        const adminTable = new Table({
+          columns: [
+            { name: "login", title: "User", alignment: "left" },
+            { name: "repos", title: "Admin on", alignment: "right" },
+            { name: "via", title: "Via", alignment: "left" },
+          ],
+        });
+        admins.slice(0, limit).forEach((a) =>
+          adminTable.addRow({ login: a.login, repos: a.repos, via: a.orgOwner ? "org owner" : "teams / direct grants" })
+        );
+        adminTable.printTable();
+      } catch (err) {
+        console.error("❌ Error building team report:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
@@ -1,21 +1,23 @@
-import { connectToMongo, closeConnection } from '../db/connection.js';
+import { openStore, closeStore } from '../storage/index.js';
+import { RepoModel } from './db/model.js';
 
 export default function topCommand(program) {
   program
     .command('top')
     .description('Show top repositories for an org')
-    .requiredOption('--org <org>', 'GitHub organization name')
+    .option('--org <org>', 'GitHub organization name (defaults to the active profile org)')
     .option('--metric <metric>', 'Metric to sort by (stars|issues)', 'stars')
     .option('--limit <number>', 'Number of repos to display', 10)
+    .option('--include-removed', 'Include repos that were deleted or transferred out of the org')
     .action(async (options) => {
-      const db = await connectToMongo();
+      await openStore();
       try {
         const limit = parseInt(options.limit, 10);
-        const repos = await db.collection('repos')
-          .find({ org: options.org })
-          .sort({ [options.metric === 'issues' ? 'openIssues' : 'stars']: -1 })
-          .limit(limit)
-          .toArray();
+        const repos = await RepoModel.findByOrg(options.org, {
+          sortBy: options.metric,
+          limit,
+          includeRemoved: options.includeRemoved
+        });
 
         if (!repos.length) {
           console.log(`⚠️ No repositories found for org ${options.org}`);
@@ -27,11 +29,12 @@ export default function topCommand(program) {
           Stars: r.stars,
           Forks: r.forks,
           OpenIssues: r.openIssues,
+          ...(options.includeRemoved && { Removed: r.removed ? new Date(r.removedAt).toISOString().slice(0, 10) : '' }),
         })));
       } catch (err) {
         console.error('❌ Error fetching top repos:', err.message);
       } finally {
-        await closeConnection();
+        await closeStore();
       }
     });
 }
@@ -0,0 +1,192 @@
+import fs from "fs";
+import { Table } from "console-table-printer";
+import { openStore, closeStore } from "../storage/index.js";
+import { weekStart } from "../utils/stats.js";
+
+const DEFAULT_WINDOW_DAYS = 90;
+
+// Latest snapshot per repo per week, carried forward so every week has a value for every repo.
+// Deltas only cover repos already present the week before, so a repo's first snapshot is not growth.
+function buildWeeklySeries(snapshots) {
+  const weeks = [...new Set(snapshots.map((s) => weekStart(s.capturedAt)))].sort();
+  const latestByWeek = {};
+  snapshots.forEach((s) => {
+    const week = weekStart(s.capturedAt);
+    (latestByWeek[week] = latestByWeek[week] || {})[s.name] = s;
+  });
+
+  let current = {};
+  return weeks.map((week) => {
+    const previous = current;
+    current = { ...previous, ...latestByWeek[week] };
+    const values = Object.values(current);
+    const delta = (key) => Object.entries(previous).reduce((sum, [name, s]) => sum + (current[name][key] || 0) - (s[key] || 0), 0);
+    return {
+      week,
+      repos: values.length,
+      stars: values.reduce((sum, s) => sum + (s.stars || 0), 0),
+      forks: values.reduce((sum, s) => sum + (s.forks || 0), 0),
+      starsDelta: delta("stars"),
+      forksDelta: delta("forks"),
+    };
+  });
+}
+
+// Growth of each repo between its first and last snapshot in the window
+function buildRepoDeltas(snapshots) {
+  const byRepo = {};
+  snapshots.forEach((s) => {
+    const entry = byRepo[s.name];
+    if (!entry) byRepo[s.name] = { first: s, last: s };
+    else entry.last = s;
+  });
+
+  return Object.entries(byRepo).map(([name, { first, last }]) => ({
+    name,
+    stars: last.stars,
+    starsDelta: last.stars - first.stars,
+    forks: last.forks,
+    forksDelta: last.forks - first.forks,
+    from: first.capturedAt,
+    to: last.capturedAt,
+  }));
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+export default function trendCommand(program) {
+  program
+    .command("trend")
+    .description("Show star/fork growth over time from recorded snapshots")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--repo <name>", "Limit the series to a single repository")
+    .option("--include-removed", "Include repos that were deleted or transferred out of the org")
+    .option("--since <date>", `Start of the window (YYYY-MM-DD, default ${DEFAULT_WINDOW_DAYS} days ago)`)
+    .option("--limit <number>", "Number of gainers/losers to show", 5)
+    .option("--format <type>", "Export format: json")
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const since = options.since
+        ? new Date(options.since)
+        : new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      if (Number.isNaN(since.getTime())) {
+        console.error(`❌ Invalid --since date: ${options.since}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const query = { org: options.org, capturedAt: { $gte: since } };
+        if (options.repo) {
+          query.name = options.repo;
+        } else if (!options.includeRemoved) {
+          const removed = await db.collection("repos").find({ org: options.org, removed: true }).toArray();
+          if (removed.length) query.name = { $nin: removed.map((r) => r.name) };
+        }
+
+        const snapshots = await db.collection("repo_snapshots")
+          .find(query)
+          .sort({ capturedAt: 1 })
+          .toArray();
+
+        if (!snapshots.length) {
+          console.log(`⚠️ No snapshots found for ${options.repo ? `${options.org}/${options.repo}` : options.org} since ${since.toISOString().slice(0, 10)}. Run fetch or sync-stars first.`);
+          return;
+        }
+
+        const limit = parseInt(options.limit, 10);
+        const weekly = buildWeeklySeries(snapshots);
+        const deltas = buildRepoDeltas(snapshots);
+        const gainers = [...deltas]
+          .filter((d) => d.starsDelta > 0)
+          .sort((a, b) => b.starsDelta - a.starsDelta)
+          .slice(0, limit);
+        const losers = [...deltas]
+          .filter((d) => d.starsDelta < 0)
+          .sort((a, b) => a.starsDelta - b.starsDelta)
+          .slice(0, limit);
+
+        const result = {
+          org: options.org,
+          repo: options.repo || null,
+          since: since.toISOString(),
+          weekly,
+          gainers,
+          losers,
+        };
+
+        if (options.format) {
+          if (options.format !== "json") {
+            console.log("⚠️ Unsupported format. Use json");
+            return;
+          }
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          fs.writeFileSync(options.output, JSON.stringify(result, null, 2));
+          console.log(`✅ Trend exported to ${options.output}`);
+          return;
+        }
+
+        console.log(`\n📈 Weekly growth for ${options.repo ? `${options.org}/${options.repo}` : options.org}:`);
+        const weeklyTable = new Table({
+          columns: [
+            { name: "week", title: "Week" },
+            { name: "stars", title: "Stars" },
+            { name: "starsDelta", title: "Δ Stars" },
+            { name: "forks", title: "Forks" },
+            { name: "forksDelta", title: "Δ Forks" },
+          ],
+        });
+        weekly.forEach((w) =>
+          weeklyTable.addRow({
+            week: w.week,
+            stars: w.stars,
+            starsDelta: signed(w.starsDelta),
+            forks: w.forks,
+            forksDelta: signed(w.forksDelta),
+          })
+        );
+        weeklyTable.printTable();
+
+        if (options.repo) return;
+
+        const printMovers = (title, rows) => {
+          console.log(`\n${title}`);
+          if (!rows.length) {
+            console.log("  (none)");
+            return;
+          }
+          const table = new Table({
+            columns: [
+              { name: "name", title: "Repo" },
+              { name: "stars", title: "Stars" },
+              { name: "starsDelta", title: "Δ Stars" },
+              { name: "forksDelta", title: "Δ Forks" },
+            ],
+          });
+          rows.forEach((r) =>
+            table.addRow({
+              name: r.name,
+              stars: r.stars,
+              starsDelta: signed(r.starsDelta),
+              forksDelta: signed(r.forksDelta),
+            })
+          );
+          table.printTable();
+        };
+
+        printMovers("🚀 Biggest gainers:", gainers);
+        printMovers("📉 Biggest losers:", losers);
+      } catch (err) {
+        console.error("❌ Error building trend:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
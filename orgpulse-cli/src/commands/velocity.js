@@ -0,0 +1,190 @@
+import { Table } from "console-table-printer";
+import { InvalidArgumentError } from "commander";
+import { openStore, closeStore, mongoOnlyError } from "../storage/index.js";
+import { weekStart } from "../utils/stats.js";
+import { writeExport, EXPORT_FORMATS } from "../utils/exporters.js";
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const ORG_WIDE = "(org)";
+const BAR_WIDTH = 30;
+
+function parseWeeks(value) {
+  const weeks = parseInt(value, 10);
+  if (!Number.isInteger(weeks) || weeks <= 0) throw new InvalidArgumentError("Expected a positive number of weeks.");
+  return weeks;
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+// Monday (UTC) of the week of a date field, as YYYY-MM-DD
+function weekOf(field) {
+  return {
+    $dateToString: {
+      format: "%Y-%m-%d",
+      date: { $dateTrunc: { date: { $toDate: field }, unit: "week", startOfWeek: "monday" } },
+    },
+  };
+}
+
+/**
+ * Opened and closed counts per repo and week since `since`, plus each repo's open
+ * backlog at `since`, grouped in MongoDB so no issue documents reach the client.
+ */
+async function aggregateVelocity(db, repoFilter, since) {
+  const [result] = await db.collection("issues").aggregate([
+    { $match: { repo: repoFilter } },
+    {
+      $facet: {
+        opened: [
+          { $match: { createdAt: { $gte: since } } },
+          { $group: { _id: { repo: "$repo", week: weekOf("$createdAt") }, count: { $sum: 1 } } },
+        ],
+        closed: [
+          { $match: { closedAt: { $gte: since } } },
+          { $group: { _id: { repo: "$repo", week: weekOf("$closedAt") }, count: { $sum: 1 } } },
+        ],
+        backlog: [
+          { $match: { createdAt: { $lt: since }, $or: [{ closedAt: null }, { closedAt: { $gte: since } }] } },
+          { $group: { _id: "$repo", count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]).toArray();
+  return result;
+}
+
+// One row per week with opened, closed, net change and the open backlog at the end of the week
+function buildSeries(weeks, opened, closed, startBacklog) {
+  let backlog = startBacklog;
+  return weeks.map((week) => {
+    const o = opened[week] || 0;
+    const c = closed[week] || 0;
+    backlog += o - c;
+    return { week, opened: o, closed: c, net: o - c, backlog };
+  });
+}
+
+function buildReport(weeks, { opened, closed, backlog }) {
+  const repos = {};
+  const entry = (repo) => (repos[repo] = repos[repo] || { opened: {}, closed: {}, startBacklog: 0 });
+  opened.forEach((g) => (entry(g._id.repo).opened[g._id.week] = g.count));
+  closed.forEach((g) => (entry(g._id.repo).closed[g._id.week] = g.count));
+  backlog.forEach((g) => (entry(g._id).startBacklog = g.count));
+
+  const perRepo = Object.entries(repos)
+    .map(([repo, r]) => ({ repo, startBacklog: r.startBacklog, weeks: buildSeries(weeks, r.opened, r.closed, r.startBacklog) }))
+    .sort((a, b) => a.repo.localeCompare(b.repo));
+
+  const sum = (key) => Object.fromEntries(
+    weeks.map((week, i) => [week, perRepo.reduce((total, r) => total + r.weeks[i][key], 0)])
+  );
+  const startBacklog = perRepo.reduce((total, r) => total + r.startBacklog, 0);
+  const orgWide = { repo: ORG_WIDE, startBacklog, weeks: buildSeries(weeks, sum("opened"), sum("closed"), startBacklog) };
+  return { orgWide, perRepo };
+}
+
+// Opened (█) and closed (░) bars per week, scaled to the busiest week
+function renderChart(series) {
+  const max = Math.max(1, ...series.map((w) => Math.max(w.opened, w.closed)));
+  const bar = (n, ch) => ch.repeat(Math.round((n / max) * BAR_WIDTH));
+  const width = String(max).length;
+  series.forEach((w) => {
+    console.log(`  ${w.week} opened ${String(w.opened).padStart(width)} ${bar(w.opened, "█")}`);
+    console.log(`  ${" ".repeat(10)} closed ${String(w.closed).padStart(width)} ${bar(w.closed, "░")}  net ${signed(w.net)}, backlog ${w.backlog}`);
+  });
+}
+
+export default function velocityCommand(program) {
+  program
+    .command("velocity")
+    .description("Weekly opened vs closed issues and backlog burndown, per repo and org-wide")
+    .option("--org <org>", "GitHub organization name (defaults to the active profile org)")
+    .option("--repo <name>", "Limit the report to a single repository")
+    .option("--weeks <n>", "Number of weeks to report, including the current one", parseWeeks, 12)
+    .option("--format <type>", `Export format: ${EXPORT_FORMATS.join(" | ")}`)
+    .option("--output <file>", "File to save the output")
+    .action(async (options) => {
+      const now = Date.now();
+      const weeks = Array.from({ length: options.weeks }, (_, i) => weekStart(new Date(now - (options.weeks - 1 - i) * WEEK_MS)));
+      const since = new Date(weeks[0]).toISOString();
+      const target = options.repo ? `${options.org}/${options.repo}` : options.org;
+
+      const unsupported = mongoOnlyError("velocity", "an aggregation pipeline");
+      if (unsupported) {
+        console.error(`❌ ${unsupported}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const db = await openStore();
+      try {
+        const repoFilter = options.repo ? target : { $regex: `^${options.org}/` };
+        const { orgWide, perRepo } = buildReport(weeks, await aggregateVelocity(db, repoFilter, since));
+        if (!perRepo.length) {
+          console.log(`⚠️ No issue activity found for ${target} since ${weeks[0]}. Run "orgpulse fetch ${options.org}" first.`);
+          return;
+        }
+
+        if (options.format) {
+          if (!options.output) {
+            console.log("⚠️ Please provide --output <file> to save the export.");
+            return;
+          }
+          const file = writeExport(options.format, options.output, {
+            title: `📊 Issue Velocity: ${target}`,
+            headers: ["Repo", "Week", "Opened", "Closed", "Net", "Backlog"],
+            rows: [orgWide, ...perRepo].flatMap((s) => s.weeks.map((w) => [s.repo, w.week, w.opened, w.closed, w.net, w.backlog])),
+            data: { org: options.org, repo: options.repo || null, weeks: options.weeks, since, orgWide, repos: perRepo },
+          });
+          console.log(`✅ Velocity report exported to ${file}`);
+          return;
+        }
+
+        const totals = (s) => ({
+          opened: s.weeks.reduce((n, w) => n + w.opened, 0),
+          closed: s.weeks.reduce((n, w) => n + w.closed, 0),
+          end: s.weeks[s.weeks.length - 1].backlog,
+        });
+        const all = totals(orgWide);
+        console.log(`\n📊 Issue velocity for ${target}, last ${options.weeks} week(s) from ${weeks[0]}`);
+        console.log(`   ${all.opened} opened, ${all.closed} closed, backlog ${orgWide.startBacklog} → ${all.end} (${signed(all.end - orgWide.startBacklog)})\n`);
+        renderChart(orgWide.weeks);
+
+        if (options.repo) return;
+
+        const table = new Table({
+          columns: [
+            { name: "repo", title: "Repo", alignment: "left" },
+            { name: "opened", title: "Opened", alignment: "right" },
+            { name: "closed", title: "Closed", alignment: "right" },
+            { name: "net", title: "Net", alignment: "right" },
+            { name: "backlog", title: "Backlog start → end", alignment: "right" },
+          ],
+        });
+        perRepo
+          .map((s) => ({ repo: s.repo, start: s.startBacklog, ...totals(s) }))
+          .sort((a, b) => (b.opened - b.closed) - (a.opened - a.closed) || a.repo.localeCompare(b.repo))
+          .forEach((r) =>
+            table.addRow(
+              {
+                repo: r.repo,
+                opened: r.opened,
+                closed: r.closed,
+                net: signed(r.opened - r.closed),
+                backlog: `${r.start} → ${r.end}`,
+              },
+              { color: r.opened > r.closed ? "red" : r.opened < r.closed ? "green" : undefined }
+            )
+          );
+        console.log("");
+        table.printTable();
+      } catch (err) {
+        console.error("❌ Error building velocity report:", err.message);
+        process.exitCode = 1;
+      } finally {
+        await closeStore();
+      }
+    });
+}
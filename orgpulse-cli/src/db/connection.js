@@ -1,4 +1,5 @@
 import { MongoClient } from 'mongodb';
+import { getSettings } from '../utils/config.js';
 
 const ConnectionState = {
   DISCONNECTED: 0,
@@ -18,22 +19,23 @@ const DEFAULT_OPTIONS = {
   retryReads: true
 };
 
-export async function connectToMongo() {
+export async function connectToMongo(uri) {
   if (connectionState === ConnectionState.CONNECTED) {
     return databaseInstance;
   }
 
   connectionState = ConnectionState.CONNECTING;
-  const mongoUri = process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/orgpulse';
+  const settings = getSettings();
+  const mongoUri = uri || settings.mongoUri || 'mongodb://127.0.0.1:27017/orgpulse';
 
   try {
     mongoClientInstance = new MongoClient(mongoUri, {
       ...DEFAULT_OPTIONS,
-      ...(process.env.MONGO_OPTIONS ? JSON.parse(process.env.MONGO_OPTIONS) : {})
+      ...settings.mongoOptions
     });
     
     await mongoClientInstance.connect();
-    databaseInstance = mongoClientInstance.db('orgpulse');
+    databaseInstance = mongoClientInstance.db(settings.dbName);
     connectionState = ConnectionState.CONNECTED;
     
     mongoClientInstance.on('serverClosed', cleanup);
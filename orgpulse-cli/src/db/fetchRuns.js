@@ -0,0 +1,262 @@
+// src/db/fetchRuns.js
+import os from "os";
+import { randomUUID } from "crypto";
+
+/**
+ * One record per `fetch` run in `fetch_runs`:
+ *   { runId, org, status, phase, options, cursors, repos, errors, lock,
+ *     startedAt, updatedAt, finishedAt }
+ *
+ * - status: running | failed | cancelled | completed
+ * - phase: repos → members → issues → pullRequests → commits → done; a resumed run
+ *   skips the repo listing and the members sync once they finished, and every repo
+ *   whose issues / PRs / commits are done
+ * - cursors.repos: GraphQL cursor + count of the repository listing
+ * - cursors.members: { done, members, teams } of the members/teams sync
+ * - repos.<name>.issues / .pullRequests / .commits: { endCursor, count, done } per repo
+ * - lock: { host, pid, acquiredAt } of the process working on the run. A second
+ *   fetch of the same org is refused while the lock is live; a lock whose process
+ *   is gone (same host) or that has not been refreshed for LOCK_TTL_MS is stale.
+ */
+
+export const RUN_PHASES = ["repos", "members", "issues", "pullRequests", "commits", "done"];
+export const RESUMABLE_STATUSES = ["running", "failed", "cancelled"];
+
+const COLLECTION = "fetch_runs";
+const LOCK_TTL_MS = 2 * 60 * 60 * 1000;
+const MAX_ERRORS = 200;
+
+export class FetchRunLockedError extends Error {
+  constructor(run) {
+    super(`Another fetch for ${run.org} is running (run ${run.runId}, pid ${run.lock.pid} on ${run.lock.host})`);
+    this.name = "FetchRunLockedError";
+  }
+}
+
+export class FetchRunCancelledError extends Error {
+  constructor(runId) {
+    super(`Run ${runId} was cancelled`);
+    this.name = "FetchRunCancelledError";
+  }
+}
+
+// Repo names may contain dots, which MongoDB reads as path separators
+export function repoKey(name) {
+  return name.replace(/%/g, "%25").replace(/\./g, "%2E").replace(/^\$/, "%24");
+}
+
+export function repoName(key) {
+  return decodeURIComponent(key);
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// Run options in `keys` whose value differs between a stored run and a new request
+export function changedOptions(stored = {}, options = {}, keys = Object.keys(options)) {
+  return keys.filter((k) => JSON.stringify(stored[k] ?? null) !== JSON.stringify(options[k] ?? null));
+}
+
+export function isLockLive(run) {
+  if (!run.lock) return false;
+  if (run.lock.host === os.hostname()) return pidAlive(run.lock.pid);
+  return Date.now() - new Date(run.updatedAt).getTime() < LOCK_TTL_MS;
+}
+
+export class FetchRun {
+  constructor(db, doc) {
+    this.db = db;
+    this.doc = doc;
+  }
+
+  static collection(db) {
+    return db.collection(COLLECTION);
+  }
+
+  static async find(db, runId) {
+    const doc = await this.collection(db).findOne({ runId });
+    return doc ? new FetchRun(db, doc) : null;
+  }
+
+  static async list(db, { org, status, limit = 20 } = {}) {
+    const filter = {};
+    if (org) filter.org = org;
+    if (status) filter.status = status;
+    return this.collection(db).find(filter).sort({ startedAt: -1 }).limit(limit).toArray();
+  }
+
+  /**
+   * Start a new run for the org. An unfinished run is only picked up again when
+   * `resume` is set (refused if one of the `explicit` options differs from the run's),
+   * or when its process died mid-run and the options are unchanged. Anything else
+   * starts fresh; the run left behind is available as `run.previous`.
+   * Throws FetchRunLockedError when another live process holds the org.
+   */
+  static async start(db, org, options = {}, { resume = false, explicit = Object.keys(options) } = {}) {
+    const [latest] = await this.collection(db)
+      .find({ org, status: { $in: RESUMABLE_STATUSES } })
+      .sort({ startedAt: -1 })
+      .limit(1)
+      .toArray();
+
+    if (resume) {
+      if (!latest) throw new Error(`No unfinished run for ${org} to resume`);
+      const changed = changedOptions(latest.options, options, explicit);
+      if (changed.length) {
+        throw new Error(`Run ${latest.runId} was started with different options (${changed.join(", ")}); drop --resume to start a new run with these options`);
+      }
+      return this.resume(db, latest.runId);
+    }
+
+    const now = new Date();
+    if (latest?.status === "running") {
+      if (isLockLive(latest)) throw new FetchRunLockedError(latest);
+      if (!changedOptions(latest.options, options).length) return this.resume(db, latest.runId);
+      // Stale run with other options: close it so the new run can take the org
+      await this.collection(db).updateOne(
+        { runId: latest.runId, updatedAt: latest.updatedAt },
+        { $set: { status: "failed", lock: null, finishedAt: now, updatedAt: now } }
+      );
+    }
+
+    const doc = {
+      runId: randomUUID().slice(0, 8),
+      org,
+      status: "running",
+      phase: RUN_PHASES[0],
+      options,
+      cursors: {},
+      repos: {},
+      errors: [],
+      lock: { host: os.hostname(), pid: process.pid, acquiredAt: now },
+      startedAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    try {
+      await this.collection(db).insertOne(doc);
+    } catch (err) {
+      // Duplicate key on the running-per-org index: another process just started
+      if (err.code === 11000) return this.start(db, org, options);
+      throw err;
+    }
+    const run = new FetchRun(db, doc);
+    run.previous = latest || null;
+    return run;
+  }
+
+  static async resume(db, runId) {
+    const doc = await this.collection(db).findOne({ runId });
+    if (!doc) throw new Error(`Run ${runId} not found`);
+    if (!RESUMABLE_STATUSES.includes(doc.status)) throw new Error(`Run ${runId} is ${doc.status} and cannot be resumed`);
+
+    const lockedByOther = doc.lock && !(doc.lock.host === os.hostname() && doc.lock.pid === process.pid);
+    if (doc.status === "running" && lockedByOther && isLockLive(doc)) throw new FetchRunLockedError(doc);
+
+    const now = new Date();
+    const lock = { host: os.hostname(), pid: process.pid, acquiredAt: now };
+    // Compare-and-set on updatedAt so two processes cannot take over the same stale run
+    let res;
+    try {
+      res = await this.collection(db).updateOne(
+        { runId, updatedAt: doc.updatedAt },
+        { $set: { status: "running", lock, updatedAt: now, finishedAt: null } }
+      );
+    } catch (err) {
+      // Unique running-per-org index: some other run of this org is still active
+      if (err.code === 11000) throw new Error(`Another run for ${doc.org} is active. Cancel it first with "orgpulse runs cancel"`);
+      throw err;
+    }
+    if (!res.matchedCount) throw new FetchRunLockedError({ ...doc, lock: doc.lock || lock });
+
+    const run = new FetchRun(db, { ...doc, status: "running", lock, updatedAt: now, finishedAt: null });
+    run.resumed = true;
+    return run;
+  }
+
+  static async cancel(db, runId) {
+    const res = await this.collection(db).updateOne(
+      { runId, status: { $in: ["running", "failed"] } },
+      { $set: { status: "cancelled", finishedAt: new Date(), updatedAt: new Date() } }
+    );
+    return res.matchedCount > 0;
+  }
+
+  get runId() { return this.doc.runId; }
+  get phase() { return this.doc.phase; }
+  get startedAt() { return new Date(this.doc.startedAt); }
+  get options() { return this.doc.options || {}; }
+  get errorCount() { return this.doc.errors?.length || 0; }
+
+  cursor(name) {
+    return this.doc.cursors?.[name] || {};
+  }
+
+  repoProgress(name, kind) {
+    return this.doc.repos?.[repoKey(name)]?.[kind] || {};
+  }
+
+  /**
+   * Write `fields` while the run is still ours. A run cancelled from
+   * `orgpulse runs cancel` no longer matches, which stops this process.
+   */
+  async save(fields) {
+    const now = new Date();
+    const res = await FetchRun.collection(this.db).updateOne(
+      { runId: this.runId, status: "running" },
+      { $set: { ...fields, updatedAt: now } }
+    );
+    if (!res.matchedCount) {
+      this.cancelled = true;
+      throw new FetchRunCancelledError(this.runId);
+    }
+    this.doc.updatedAt = now;
+  }
+
+  assertActive() {
+    if (this.cancelled) throw new FetchRunCancelledError(this.runId);
+  }
+
+  async enterPhase(phase) {
+    this.doc.phase = phase;
+    await this.save({ phase });
+  }
+
+  async saveCursor(name, value) {
+    this.doc.cursors = { ...this.doc.cursors, [name]: value };
+    await this.save({ [`cursors.${name}`]: value });
+  }
+
+  async saveRepoProgress(name, kind, progress) {
+    const key = repoKey(name);
+    this.doc.repos = { ...this.doc.repos, [key]: { ...this.doc.repos?.[key], [kind]: progress } };
+    await this.save({ [`repos.${key}.${kind}`]: progress });
+  }
+
+  async recordError(phase, repo, err) {
+    const entry = { at: new Date(), phase, repo: repo || null, message: err.message };
+    this.doc.errors = [...(this.doc.errors || []), entry].slice(-MAX_ERRORS);
+    await FetchRun.collection(this.db).updateOne({ runId: this.runId }, { $set: { errors: this.doc.errors } });
+  }
+
+  /** Close the run as completed / failed. A run cancelled meanwhile stays cancelled; our lock is dropped either way */
+  async finish(status, err = null) {
+    const now = new Date();
+    const fields = { status, lock: null, finishedAt: now, updatedAt: now };
+    if (status === "completed") fields.phase = "done";
+    if (err) {
+      this.doc.errors = [...(this.doc.errors || []), { at: now, phase: this.phase, repo: null, message: err.message }].slice(-MAX_ERRORS);
+      fields.errors = this.doc.errors;
+    }
+    const col = FetchRun.collection(this.db);
+    await col.updateOne({ runId: this.runId, status: "running" }, { $set: fields });
+    await col.updateOne({ runId: this.runId }, { $set: { lock: null } });
+    Object.assign(this.doc, fields);
+  }
+}
@@ -0,0 +1,21 @@
+// src/db/snapshots.js
+
+/**
+ * Append one dated star/fork record per repo to `repo_snapshots`.
+ * Snapshots are never updated in place, so the full history is kept.
+ */
+export async function recordSnapshots(db, org, repos, source) {
+  if (!repos?.length) return 0;
+  const capturedAt = new Date();
+  const docs = repos.map(r => ({
+    org,
+    name: r.name,
+    stars: r.stars,
+    forks: r.forks,
+    openIssues: r.openIssues ?? null,
+    source,
+    capturedAt
+  }));
+  const res = await db.collection("repo_snapshots").insertMany(docs, { ordered: false });
+  return res.insertedCount;
+}
@@ -0,0 +1,46 @@
+// src/db/syncState.js
+
+/**
+ * Watermarks for incremental `fetch` runs, kept in `sync_state`:
+ *   { org, repo: null, reposSyncedAt }                     one document per org
+ *   { org, repo, issuesSyncedAt, pullRequestsSyncedAt,
+ *     commitsSyncedAt }                                    one document per repo
+ *
+ * A watermark is the start time of the last run that finished that part, so
+ * anything that changed while the run was going is picked up again next time.
+ * An explicit `--since` overrides the watermarks and leaves them untouched;
+ * `--full` ignores them and writes fresh ones.
+ */
+export class SyncState {
+  constructor(db, org, docs, { since = null, full = false, startedAt = new Date() } = {}) {
+    this.db = db;
+    this.org = org;
+    this.since = since ? new Date(since) : null;
+    this.full = full;
+    this.startedAt = startedAt;
+    this.docs = new Map(docs.map(d => [d.repo || null, d]));
+  }
+
+  static async load(db, org, opts) {
+    const docs = await db.collection("sync_state").find({ org }).toArray();
+    return new SyncState(db, org, docs, opts);
+  }
+
+  /** Date to fetch from for `field` (null = fetch everything) */
+  watermark(field, repo = null) {
+    if (this.full) return null;
+    if (this.since) return this.since;
+    const value = this.docs.get(repo)?.[field];
+    return value ? new Date(value) : null;
+  }
+
+  /** Advance `field` to `at` (default: when this run started) unless --since is in effect */
+  async mark(field, repo = null, at = this.startedAt) {
+    if (this.since) return;
+    await this.db.collection("sync_state").updateOne(
+      { org: this.org, repo },
+      { $set: { org: this.org, repo, [field]: at, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
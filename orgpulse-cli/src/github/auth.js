@@ -0,0 +1,119 @@
+// src/github/auth.js
+import fs from "fs";
+import { Octokit } from "octokit";
+import { createAppAuth } from "@octokit/auth-app";
+import { getSettings } from "../utils/config.js";
+import { githubEndpoints } from "./endpoints.js";
+
+// Retries and rate-limit waits are handled by GitHubClient (client.js), not by the Octokit plugins
+const CLIENT_OPTIONS = { retry: { enabled: false }, throttle: { enabled: false } };
+
+// Accept either the PEM itself or a path to the .pem file
+function readPrivateKey(value) {
+  if (value.includes("BEGIN")) return value.replace(/\\n/g, "\n");
+  try {
+    return fs.readFileSync(value, "utf-8");
+  } catch (err) {
+    throw new Error(`Cannot read GitHub App private key ${value}: ${err.message}`);
+  }
+}
+
+/**
+ * Octokit authenticated as a GitHub App installation. Installation tokens are
+ * minted and refreshed by @octokit/auth-app; when no installation id is
+ * configured it is looked up for the org being fetched.
+ */
+async function createAppOctokit({ appId, privateKey, installationId, org, baseUrl }) {
+  const key = readPrivateKey(privateKey);
+  let id = installationId;
+
+  if (!id) {
+    if (!org) throw new Error("GitHub App auth needs githubAppInstallationId when no org is given");
+    const appOctokit = new Octokit({ authStrategy: createAppAuth, auth: { appId, privateKey: key }, baseUrl });
+    const { data } = await appOctokit.request("GET /orgs/{org}/installation", { org });
+    id = data.id;
+    console.log(`🔑 Using GitHub App installation ${id} for ${org}`);
+  }
+
+  return new Octokit({
+    authStrategy: createAppAuth,
+    auth: { appId, privateKey: key, installationId: id },
+    baseUrl,
+    ...CLIENT_OPTIONS
+  });
+}
+
+/**
+ * A set of authenticated clients that rate-limited callers rotate through.
+ * Each entry remembers when its limit resets; `rotate` moves to the next
+ * client that is not exhausted, so sleeping is only needed once all are.
+ */
+export class TokenPool {
+  constructor(clients) {
+    this.clients = clients.map((octokit, i) => ({ octokit, label: `${i + 1}/${clients.length}`, resetAt: 0 }));
+    this.index = 0;
+  }
+
+  get octokit() {
+    return this.clients[this.index].octokit;
+  }
+
+  get size() {
+    return this.clients.length;
+  }
+
+  /** Mark the current client exhausted until `resetAt` (ms) and switch if another is available */
+  rotate(resetAt = Date.now() + 60000) {
+    const exhausted = this.clients[this.index];
+    exhausted.resetAt = resetAt;
+
+    const now = Date.now();
+    for (let step = 1; step < this.clients.length; step++) {
+      const next = (this.index + step) % this.clients.length;
+      if (this.clients[next].resetAt <= now) {
+        this.index = next;
+        console.log(`🔁 Token ${exhausted.label} exhausted, switching to token ${this.clients[next].label}`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** Earliest time (ms) at which any client becomes usable again */
+  nextResetAt() {
+    return Math.min(...this.clients.map(c => c.resetAt));
+  }
+
+  /** After sleeping until nextResetAt, continue with the client that reset first */
+  useEarliestReset() {
+    const earliest = this.nextResetAt();
+    this.index = this.clients.findIndex(c => c.resetAt === earliest);
+  }
+}
+
+/**
+ * Build the client pool from settings: a GitHub App (githubAppId + githubAppPrivateKey)
+ * and/or a list of personal tokens (githubTokens, plus the single githubToken).
+ * Falls back to one unauthenticated client.
+ */
+export async function createTokenPool({ org } = {}) {
+  const settings = getSettings();
+  const { apiUrl: baseUrl } = githubEndpoints();
+  const clients = [];
+
+  if (settings.githubAppId && settings.githubAppPrivateKey) {
+    clients.push(await createAppOctokit({
+      appId: settings.githubAppId,
+      privateKey: settings.githubAppPrivateKey,
+      installationId: settings.githubAppInstallationId,
+      org,
+      baseUrl
+    }));
+  }
+
+  const tokens = [...new Set([settings.githubToken, ...settings.githubTokens].filter(Boolean))];
+  tokens.forEach(auth => clients.push(new Octokit({ auth, baseUrl, ...CLIENT_OPTIONS })));
+
+  if (!clients.length) clients.push(new Octokit({ baseUrl, ...CLIENT_OPTIONS }));
+  return new TokenPool(clients);
+}
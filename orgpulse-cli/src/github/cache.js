@@ -0,0 +1,201 @@
+// src/github/cache.js
+import crypto from "crypto";
+import { createClient } from "redis";
+import { openStore, closeStore } from "../storage/index.js";
+import { getSettings } from "../utils/config.js";
+
+/**
+ * Conditional-request cache for REST GETs.
+ *
+ * Each response is stored with its ETag / Last-Modified, keyed by method + URL
+ * (query string included). The next request for the same URL sends
+ * `If-None-Match` / `If-Modified-Since`; a 304 is answered from the cache and does
+ * not count against the GitHub rate limit. GraphQL has no conditional requests,
+ * so only REST calls are cached.
+ *
+ * Backends (`cache` setting): "store" → `http_cache` collection of the active
+ * store (MongoDB or file), "redis" → `redisUrl`, "off". `--no-cache` skips it per run.
+ */
+
+export const CACHE_BACKENDS = ["store", "redis", "off"];
+
+const COLLECTION = "http_cache";
+const REDIS_PREFIX = "orgpulse:http:";
+const REDIS_STATS = "orgpulse:http-stats";
+
+let disabled = false;
+let activeCache = null;
+const runStats = { notModified: 0, refreshed: 0 };
+
+export function cacheKey(method, url, accept = "") {
+  return crypto.createHash("sha1").update(`${method} ${url} ${accept}`).digest("hex");
+}
+
+function summarize(entries, hits) {
+  const times = entries.map(e => new Date(e.storedAt).getTime()).sort((a, b) => a - b);
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + (e.body?.length || 0), 0),
+    hits,
+    oldest: times.length ? new Date(times[0]) : null,
+    newest: times.length ? new Date(times[times.length - 1]) : null
+  };
+}
+
+class StoreCache {
+  constructor() {
+    this.type = "store";
+  }
+
+  async collection() {
+    return (await openStore()).collection(COLLECTION);
+  }
+
+  async connect() {
+    const col = await this.collection();
+    await col.createIndexes([{ key: { key: 1 }, name: "key_unique", unique: true }]);
+    return this;
+  }
+
+  async get(key) {
+    return (await this.collection()).findOne({ key });
+  }
+
+  async set(key, entry) {
+    await (await this.collection()).updateOne(
+      { key },
+      { $set: { ...entry, key, storedAt: new Date() }, $setOnInsert: { hits: 0 } },
+      { upsert: true }
+    );
+  }
+
+  async hit(key) {
+    await (await this.collection()).updateOne({ key }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+  }
+
+  async clear() {
+    const { deletedCount } = await (await this.collection()).deleteMany({});
+    return deletedCount;
+  }
+
+  async stats() {
+    const entries = await (await this.collection()).find({}).toArray();
+    return summarize(entries, entries.reduce((sum, e) => sum + (e.hits || 0), 0));
+  }
+
+  async close() {
+    await closeStore();
+  }
+}
+
+class RedisCache {
+  constructor(url) {
+    this.type = "redis";
+    this.url = url;
+    // Fail fast instead of reconnecting forever when Redis is not running
+    this.client = createClient({ url, socket: { connectTimeout: 3000, reconnectStrategy: false } });
+    this.client.on("error", () => {});
+  }
+
+  async connect() {
+    await this.client.connect();
+    return this;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(REDIS_PREFIX + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    await this.client.set(REDIS_PREFIX + key, JSON.stringify({ ...entry, key, storedAt: new Date() }));
+  }
+
+  async hit() {
+    await this.client.hIncrBy(REDIS_STATS, "hits", 1);
+  }
+
+  async clear() {
+    let deleted = 0;
+    for await (const key of this.client.scanIterator({ MATCH: `${REDIS_PREFIX}*`, COUNT: 500 })) {
+      deleted += await this.client.del(key);
+    }
+    await this.client.del(REDIS_STATS);
+    return deleted;
+  }
+
+  async stats() {
+    const entries = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${REDIS_PREFIX}*`, COUNT: 500 })) {
+      const raw = await this.client.get(key);
+      if (raw) entries.push(JSON.parse(raw));
+    }
+    const hits = parseInt(await this.client.hGet(REDIS_STATS, "hits")) || 0;
+    return summarize(entries, hits);
+  }
+
+  async close() {
+    if (this.client.isOpen) await this.client.quit();
+  }
+}
+
+// Called from the global --no-cache flag before any command runs
+export function disableCache() {
+  disabled = true;
+}
+
+/**
+ * Open the configured backend regardless of --no-cache (used by `orgpulse cache`).
+ * Throws when the backend is unreachable or caching is turned off.
+ */
+export async function openCacheBackend() {
+  const { cache, redisUrl } = getSettings();
+  if (!CACHE_BACKENDS.includes(cache)) {
+    throw new Error(`Unknown cache '${cache}'. Use ${CACHE_BACKENDS.join(" | ")}`);
+  }
+  if (cache === "off") throw new Error("HTTP cache is turned off (cache: off)");
+  return cache === "redis" ? new RedisCache(redisUrl).connect() : new StoreCache().connect();
+}
+
+/**
+ * The cache used by GitHubClient, or null when disabled. An unreachable backend
+ * only costs a warning: requests then go out unconditionally.
+ */
+export async function getHttpCache() {
+  if (disabled) return null;
+  if (activeCache) return activeCache;
+  if (getSettings().cache === "off") {
+    disabled = true;
+    return null;
+  }
+
+  try {
+    activeCache = await openCacheBackend();
+  } catch (err) {
+    console.warn(`⚠️ HTTP cache unavailable (${err.message}), continuing without it`);
+    disabled = true;
+    return null;
+  }
+  return activeCache;
+}
+
+// Cache errors never fail a request; warn once and stop using the cache
+export function dropHttpCache(err) {
+  console.warn(`⚠️ HTTP cache error (${err.message}), continuing without it`);
+  disabled = true;
+}
+
+export function recordCacheResult(notModified) {
+  if (notModified) runStats.notModified++;
+  else runStats.refreshed++;
+}
+
+export async function closeHttpCache() {
+  if (runStats.notModified || runStats.refreshed) {
+    console.log(`💾 HTTP cache: ${runStats.notModified} not modified (304), ${runStats.refreshed} refreshed`);
+  }
+  if (!activeCache) return;
+  const cache = activeCache;
+  activeCache = null;
+  await cache.close();
+}
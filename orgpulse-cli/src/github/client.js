@@ -0,0 +1,245 @@
+// src/github/client.js
+import { createTokenPool } from "./auth.js";
+import { githubEndpoints } from "./endpoints.js";
+import { GitHubRateLimitError, toGitHubError } from "./errors.js";
+import { cacheKey, getHttpCache, dropHttpCache, recordCacheResult } from "./cache.js";
+
+const MAX_RETRIES = 3;
+const SECONDARY_LIMIT_WAIT_MS = 60000;
+
+function headersOf(error) {
+  return error.response?.headers || error.headers || {};
+}
+
+function isGetRoute(route, params) {
+  return !params.method && (route.startsWith("GET ") || route.startsWith("/"));
+}
+
+function conditionalHeaders(cached) {
+  const headers = {};
+  if (cached.etag) headers["if-none-match"] = cached.etag;
+  if (cached.lastModified) headers["if-modified-since"] = cached.lastModified;
+  return headers;
+}
+
+function parseNextLink(link) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(link || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * The one GitHub client every command uses (REST + GraphQL).
+ *
+ * - primary rate limit (`x-ratelimit-remaining: 0`): rotate to another token in the
+ *   pool, or sleep until the earliest reset
+ * - secondary rate limit / 429: honor `Retry-After`, else wait a minute
+ * - network errors and 5xx: jittered exponential backoff, `MAX_RETRIES` times
+ * - REST GETs are conditional requests against the HTTP cache (see cache.js)
+ * - anything that still fails is thrown as a GitHubError subclass (see errors.js)
+ */
+export class GitHubClient {
+  constructor(pool, { maxRetries = MAX_RETRIES } = {}) {
+    this.pool = pool;
+    this.maxRetries = maxRetries;
+    this.graphqlUrl = githubEndpoints().graphqlUrl;
+  }
+
+  static async create({ org } = {}) {
+    return new GitHubClient(await createTokenPool({ org }));
+  }
+
+  get octokit() {
+    return this.pool.octokit;
+  }
+
+  sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+  // 1s → 3s → 9s, each scaled by a random factor in [0.5, 1) to spread concurrent retries
+  backoffDelay(attempt) {
+    return Math.round(Math.pow(3, attempt) * 1000 * (0.5 + Math.random() / 2));
+  }
+
+  isPrimaryRateLimit(error) {
+    const status = error.status ?? error.response?.status;
+    return (status === 403 || status === 429) && headersOf(error)["x-ratelimit-remaining"] === "0";
+  }
+
+  isSecondaryRateLimit(error) {
+    const status = error.status ?? error.response?.status;
+    if (status === 429) return true;
+    if (status !== 403) return false;
+    return !!headersOf(error)["retry-after"] || /secondary rate limit|abuse/i.test(error.message);
+  }
+
+  isGraphqlRateLimit(error) {
+    return (error.errors || []).some(e => e.type === "RATE_LIMITED");
+  }
+
+  isRetryable(error) {
+    const status = error.status ?? error.response?.status;
+    if (!status) return !error.errors; // network failure, not a GraphQL error payload
+    return status >= 500;
+  }
+
+  // Rotate to another token in the pool; sleep only when every token is exhausted
+  async waitForPrimaryLimit(error) {
+    const reset = headersOf(error)["x-ratelimit-reset"];
+    const resetAt = reset ? parseInt(reset) * 1000 : Date.now() + SECONDARY_LIMIT_WAIT_MS;
+    if (this.pool.rotate(resetAt)) return;
+
+    const wait = this.pool.nextResetAt() - Date.now();
+    if (wait > 0) {
+      console.log(`🚫 Rate limit hit on all ${this.pool.size} token(s)! Waiting ${Math.ceil(wait / 1000)}s`);
+      await this.sleep(wait + 1000);
+    }
+    this.pool.useEarliestReset();
+  }
+
+  async waitForSecondaryLimit(error, attempt) {
+    const retryAfter = parseInt(headersOf(error)["retry-after"]);
+    const wait = Number.isNaN(retryAfter)
+      ? Math.max(SECONDARY_LIMIT_WAIT_MS, this.backoffDelay(attempt))
+      : retryAfter * 1000;
+    console.log(`🐢 Secondary rate limit, waiting ${Math.ceil(wait / 1000)}s`);
+    await this.sleep(wait);
+  }
+
+  trackRateLimit(headers) {
+    if (!headers?.["x-ratelimit-remaining"]) return;
+    const rem = headers["x-ratelimit-remaining"];
+    const reset = new Date(parseInt(headers["x-ratelimit-reset"]) * 1000);
+    console.log(`⚡ Rate limit: ${rem} requests remaining (resets ${reset.toLocaleTimeString()})`);
+    if (rem === "0") this.pool.rotate(reset.getTime());
+  }
+
+  async withRetry(label, fn) {
+    let attempt = 0;
+    for (;;) {
+      try {
+        return await fn(this.octokit);
+      } catch (error) {
+        console.error(`${label} failed (attempt ${attempt + 1}):`, error.message);
+
+        if (this.isPrimaryRateLimit(error) || this.isGraphqlRateLimit(error)) {
+          await this.waitForPrimaryLimit(error);
+          continue;
+        }
+        if (attempt >= this.maxRetries) {
+          throw this.isSecondaryRateLimit(error)
+            ? new GitHubRateLimitError(error.message, { status: error.status, cause: error })
+            : toGitHubError(error);
+        }
+        if (this.isSecondaryRateLimit(error)) {
+          await this.waitForSecondaryLimit(error, attempt);
+        } else if (this.isRetryable(error)) {
+          const delay = this.backoffDelay(attempt);
+          console.log(`Retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+          await this.sleep(delay);
+        } else {
+          throw toGitHubError(error);
+        }
+        attempt++;
+      }
+    }
+  }
+
+  async request(route, params = {}) {
+    const cache = isGetRoute(route, params) ? await getHttpCache() : null;
+    if (!cache) {
+      const res = await this.withRetry(`REST ${route}`, octokit => octokit.request(route, params));
+      this.trackRateLimit(res.headers);
+      return res;
+    }
+    return this.cachedRequest(cache, route, params);
+  }
+
+  // GET with If-None-Match / If-Modified-Since; a 304 is served from the cache
+  async cachedRequest(cache, route, params) {
+    const { url, headers } = this.octokit.request.endpoint(route, params);
+    const key = cacheKey("GET", url, headers.accept);
+    const cached = await cache.get(key).catch(err => dropHttpCache(err));
+
+    const res = await this.withRetry(`REST ${route}`, async octokit => {
+      try {
+        const conditional = cached ? { ...params, headers: { ...params.headers, ...conditionalHeaders(cached) } } : params;
+        return await octokit.request(route, conditional);
+      } catch (error) {
+        if (error.status === 304 && cached) {
+          return { status: 304, url, headers: error.response.headers, data: JSON.parse(cached.body) };
+        }
+        throw error;
+      }
+    });
+
+    const notModified = res.status === 304;
+    recordCacheResult(notModified);
+    try {
+      if (notModified) {
+        await cache.hit(key);
+      } else if (res.headers.etag || res.headers["last-modified"]) {
+        await cache.set(key, {
+          url,
+          etag: res.headers.etag || null,
+          lastModified: res.headers["last-modified"] || null,
+          link: res.headers.link || null,
+          body: JSON.stringify(res.data)
+        });
+      }
+    } catch (err) {
+      dropHttpCache(err);
+    }
+
+    if (notModified && cached.link) res.headers = { ...res.headers, link: cached.link };
+    this.trackRateLimit(res.headers);
+    return res;
+  }
+
+  async graphql(query, variables = {}) {
+    const res = await this.withRetry("GraphQL request", octokit =>
+      octokit.graphql({ query, url: this.graphqlUrl, ...variables })
+    );
+    if (res?.rateLimit) {
+      console.log(`⚡ GraphQL rate limit: ${res.rateLimit.remaining}/${res.rateLimit.limit}`);
+      if (res.rateLimit.remaining === 0) this.pool.rotate(new Date(res.rateLimit.resetAt).getTime());
+    }
+    return res;
+  }
+
+  /**
+   * Follow REST `Link: rel="next"` pages and yield each page's items.
+   */
+  async *paginate(route, params = {}, { maxPages = Infinity } = {}) {
+    let res = await this.request(route, { per_page: 100, ...params });
+    let page = 1;
+    yield res.data;
+
+    let next = parseNextLink(res.headers.link);
+    while (next && page < maxPages) {
+      res = await this.request(`GET ${next}`);
+      page++;
+      yield res.data;
+      next = parseNextLink(res.headers.link);
+    }
+  }
+
+  /**
+   * Cursor pagination for a GraphQL connection. `getConnection(data)` returns the
+   * `{ nodes, pageInfo }` connection from a response; `$cursor` is filled in per page.
+   * Yields `{ nodes, pageInfo, data }` per page.
+   */
+  async *paginateGraphql(query, variables, getConnection, { cursor = null, maxPages = Infinity } = {}) {
+    let after = cursor;
+    let page = 0;
+    let hasNextPage = true;
+
+    while (hasNextPage && page < maxPages) {
+      const data = await this.graphql(query, { ...variables, cursor: after });
+      const connection = getConnection(data);
+      if (!connection) return;
+      page++;
+      yield { nodes: connection.nodes, pageInfo: connection.pageInfo, data };
+      hasNextPage = connection.pageInfo.hasNextPage;
+      after = connection.pageInfo.endCursor;
+    }
+  }
+}
@@ -0,0 +1,52 @@
+// src/github/endpoints.js
+import fs from "fs";
+import https from "https";
+import tls from "tls";
+import { Agent, setGlobalDispatcher } from "undici";
+import { getSettings } from "../utils/config.js";
+
+const PUBLIC_API_URL = "https://api.github.com";
+
+/**
+ * REST, GraphQL and web base URLs for github.com or a GitHub Enterprise Server.
+ * GHES exposes REST at https://<host>/api/v3 and GraphQL at https://<host>/api/graphql;
+ * an explicit graphqlUrl wins over the derived one.
+ */
+export function githubEndpoints() {
+  const { githubApiUrl, githubGraphqlUrl } = getSettings();
+  const apiUrl = (githubApiUrl || PUBLIC_API_URL).replace(/\/+$/, "");
+  const isPublic = apiUrl === PUBLIC_API_URL;
+  const host = apiUrl.replace(/\/api\/v3$/, "");
+
+  return {
+    apiUrl,
+    graphqlUrl: githubGraphqlUrl || (isPublic ? `${apiUrl}/graphql` : `${host}/api/graphql`),
+    webUrl: isPublic ? "https://github.com" : host
+  };
+}
+
+export function repoWebUrl(org, name) {
+  return `${githubEndpoints().webUrl}/${org}/${name}`;
+}
+
+/**
+ * Trust extra CA certificates (PEM files) for every client: Octokit goes through
+ * undici's global dispatcher, anything built on the https module through https.globalAgent.
+ */
+export function configureTls() {
+  const { githubCaCerts } = getSettings();
+  const files = [].concat(githubCaCerts || []).filter(Boolean);
+  if (!files.length) return;
+
+  const extra = files.map(file => {
+    try {
+      return fs.readFileSync(file, "utf-8");
+    } catch (err) {
+      throw new Error(`Cannot read CA certificate ${file}: ${err.message}`);
+    }
+  });
+  const ca = [...tls.rootCertificates, ...extra];
+
+  setGlobalDispatcher(new Agent({ connect: { ca } }));
+  https.globalAgent.options.ca = ca;
+}
@@ -0,0 +1,52 @@
+// src/github/errors.js
+
+/* =====================================================================================
+ * Error types raised by the shared GitHub client. Every failure that leaves
+ * GitHubClient is one of these, whatever transport (REST or GraphQL) failed.
+ * =================================================================================== */
+export class GitHubError extends Error {
+  constructor(message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = "GitHubError";
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+export class GitHubNotFoundError extends GitHubError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "GitHubNotFoundError";
+  }
+}
+
+export class GitHubAuthError extends GitHubError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "GitHubAuthError";
+  }
+}
+
+export class GitHubRateLimitError extends GitHubError {
+  constructor(message, opts) {
+    super(message, opts);
+    this.name = "GitHubRateLimitError";
+  }
+}
+
+export function toGitHubError(err) {
+  if (err instanceof GitHubError) return err;
+
+  const status = err.status ?? err.response?.status ?? null;
+  const gqlErrors = err.errors || [];
+  const opts = { status, cause: err };
+
+  if (status === 404 || gqlErrors.some(e => e.type === "NOT_FOUND")) {
+    return new GitHubNotFoundError(err.message, opts);
+  }
+  if (status === 401) return new GitHubAuthError(err.message, opts);
+  if (status === 429 || gqlErrors.some(e => e.type === "RATE_LIMITED")) {
+    return new GitHubRateLimitError(err.message, opts);
+  }
+  return new GitHubError(err.message, opts);
+}
@@ -0,0 +1,135 @@
+// src/services/health.js
+import fs from "fs";
+import YAML from "yaml";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks that make up the health score. Each returns a value between 0 and 1
+ * and, when that is below 1, a reason shown as "missing". The score of a repo is
+ * the weighted average of its checks, 0–100. A weight of 0 turns a check off.
+ *
+ * Community-file checks read `community`, which `fetch` stores with every repo.
+ */
+export const HEALTH_CHECKS = {
+  description: {
+    weight: 10,
+    check: (r) => (r.description?.trim() ? [1] : [0, "description"]),
+  },
+  license: {
+    weight: 15,
+    check: (r) => (r.license ? [1] : [0, "license"]),
+  },
+  topics: {
+    weight: 5,
+    check: (r) => (r.topics?.length ? [1] : [0, "topics"]),
+  },
+  readme: {
+    weight: 15,
+    check: (r) => communityFile(r, "readme", "README"),
+  },
+  contributing: {
+    weight: 10,
+    check: (r) => communityFile(r, "contributing", "CONTRIBUTING"),
+  },
+  codeOfConduct: {
+    weight: 5,
+    check: (r) => communityFile(r, "codeOfConduct", "CODE_OF_CONDUCT"),
+  },
+  security: {
+    weight: 10,
+    check: (r) => communityFile(r, "security", "SECURITY.md"),
+  },
+  issueTemplates: {
+    weight: 5,
+    check: (r) => communityFile(r, "issueTemplates", "issue templates"),
+  },
+  // Full marks for a push in the last 90 days, half within a year
+  activity: {
+    weight: 15,
+    check: (r) => {
+      if (!r.pushedAt) return [0, "never pushed"];
+      const days = Math.floor((Date.now() - new Date(r.pushedAt).getTime()) / DAY_MS);
+      if (days <= 90) return [1];
+      return [days <= 365 ? 0.5 : 0, `activity (last push ${days}d ago)`];
+    },
+  },
+  // Full marks up to 25 open issues, half up to 100
+  openIssues: {
+    weight: 5,
+    check: (r) => {
+      const open = r.openIssues || 0;
+      if (open <= 25) return [1];
+      return [open <= 100 ? 0.5 : 0, `issue backlog (${open} open)`];
+    },
+  },
+  notArchived: {
+    weight: 5,
+    check: (r) => (r.isArchived ? [0, "archived"] : [1]),
+  },
+};
+
+export const DEFAULT_HEALTH_WEIGHTS = Object.fromEntries(
+  Object.entries(HEALTH_CHECKS).map(([name, c]) => [name, c.weight])
+);
+
+function communityFile(repo, key, label) {
+  if (!repo.community) return [0, `${label} (not fetched yet)`];
+  return repo.community[key] ? [1] : [0, label];
+}
+
+/**
+ * Defaults, overridden by the `healthWeights` profile setting, overridden by a
+ * `--weights` JSON/YAML file. Unknown checks and negative weights are rejected.
+ */
+export function resolveHealthWeights(profileWeights = {}, file = null) {
+  let fromFile = {};
+  if (file) {
+    const raw = fs.readFileSync(file, "utf-8");
+    try {
+      fromFile = (/\.json$/.test(file) ? JSON.parse(raw) : YAML.parse(raw)) || {};
+    } catch (err) {
+      throw new Error(`Invalid weights file ${file}: ${err.message}`);
+    }
+  }
+
+  const weights = { ...DEFAULT_HEALTH_WEIGHTS, ...profileWeights, ...fromFile };
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!HEALTH_CHECKS[name]) {
+      throw new Error(`Unknown health check '${name}'. Valid checks: ${Object.keys(HEALTH_CHECKS).join(", ")}`);
+    }
+    if (typeof weight !== "number" || weight < 0) throw new Error(`Weight of '${name}' must be a number >= 0`);
+  }
+  if (!Object.values(weights).some((w) => w > 0)) throw new Error("At least one health check needs a weight above 0");
+  return weights;
+}
+
+export function scoreRepo(repo, weights = DEFAULT_HEALTH_WEIGHTS) {
+  let earned = 0;
+  let total = 0;
+  const checks = {};
+  const missing = [];
+
+  for (const [name, weight] of Object.entries(weights)) {
+    if (!weight) continue;
+    const [value, reason] = HEALTH_CHECKS[name].check(repo);
+    earned += value * weight;
+    total += weight;
+    checks[name] = value;
+    if (reason) missing.push(reason);
+  }
+
+  return {
+    name: repo.name,
+    score: Math.round((earned / total) * 100),
+    checks,
+    missing,
+  };
+}
+
+// Lowest score first, so the repos that need attention come out on top
+export function rankRepos(repos, weights) {
+  return repos
+    .map((r) => scoreRepo(r, weights))
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name));
+}
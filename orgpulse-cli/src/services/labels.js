@@ -0,0 +1,76 @@
+// src/services/labels.js
+import { median, hoursBetween } from "../utils/stats.js";
+
+/**
+ * Comparable form of a label name: "Type: Bug 🐛", "kind/bugs" and "bug" all become
+ * "bug" (case, emoji, a "prefix:" / "prefix/" scope, separators and a plural "s").
+ */
+export function labelKey(name) {
+  let key = name.toLowerCase().replace(/[^\p{L}\p{N}:/\s_-]/gu, "").trim();
+  key = key.split(/[:/]/).pop().trim();
+  key = key.replace(/[\s_-]+/g, " ");
+  return key.length > 3 ? key.replace(/s$/, "") : key;
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const next = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = prev[j];
+      prev[j] = next;
+    }
+  }
+  return prev[b.length];
+}
+
+// Groups of label names with the same key, or keys one typo apart ("enhancment")
+export function findNearDuplicates(names) {
+  const byKey = {};
+  names.forEach((name) => (byKey[labelKey(name)] = byKey[labelKey(name)] || []).push(name));
+
+  const keys = Object.keys(byKey);
+  const parent = Object.fromEntries(keys.map((k) => [k, k]));
+  const root = (k) => (parent[k] === k ? k : (parent[k] = root(parent[k])));
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      if (Math.min(keys[i].length, keys[j].length) >= 5 && editDistance(keys[i], keys[j]) <= 1) {
+        parent[root(keys[j])] = root(keys[i]);
+      }
+    }
+  }
+
+  const groups = {};
+  keys.forEach((k) => (groups[root(k)] = groups[root(k)] || []).push(...byKey[k]));
+  return Object.values(groups)
+    .filter((g) => g.length > 1)
+    .map((g) => g.sort());
+}
+
+export function summarizeLabels(issues) {
+  const byLabel = {};
+  issues.forEach((i) => {
+    (i.labels || []).forEach((name) => {
+      const entry = (byLabel[name] = byLabel[name] || { label: name, issues: [], repos: new Set() });
+      entry.issues.push(i);
+      entry.repos.add(i.repo);
+    });
+  });
+
+  return Object.values(byLabel)
+    .map(({ label, issues: list, repos }) => {
+      const closed = list.filter((i) => i.state === "closed");
+      return {
+        label,
+        issues: list.length,
+        repos: repos.size,
+        open: list.length - closed.length,
+        closed: closed.length,
+        openShare: Math.round(((list.length - closed.length) / list.length) * 1000) / 10,
+        medianCloseHours: median(closed.map((i) => hoursBetween(i.createdAt, i.closedAt))),
+      };
+    })
+    .sort((a, b) => b.issues - a.issues || a.label.localeCompare(b.label));
+}
@@ -0,0 +1,158 @@
+// src/services/policy.js
+import fs from "fs";
+import YAML from "yaml";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SEVERITIES = ["error", "warning"];
+const COMMUNITY_FILES = ["readme", "contributing", "codeOfConduct", "security", "issueTemplates"];
+
+/**
+ * Rule types a policy can use. `check` returns a violation message, or null when
+ * the repo complies; a `{ message, severity }` result reports the violation at a lower
+ * severity than the rule's (e.g. data the token could not see). `applies` (optional)
+ * skips repos the rule does not cover.
+ * Rule options are validated by `options`: name → default value.
+ */
+export const RULE_TYPES = {
+  license: {
+    options: { allowed: [] },
+    describe: (rule) => (rule.allowed.length ? `License must be one of ${rule.allowed.join(", ")}` : "Must have a license"),
+    check: (repo, rule) => {
+      if (!repo.license) return "no license";
+      if (rule.allowed.length && !rule.allowed.includes(repo.license)) return `license '${repo.license}' is not allowed`;
+      return null;
+    },
+  },
+  description: {
+    options: {},
+    describe: () => "Description required",
+    check: (repo) => (repo.description?.trim() ? null : "no description"),
+  },
+  topics: {
+    options: { min: 1 },
+    describe: (rule) => `At least ${rule.min} topic(s)`,
+    check: (repo, rule) => {
+      const count = repo.topics?.length || 0;
+      return count >= rule.min ? null : `${count} topic(s), ${rule.min} required`;
+    },
+  },
+  defaultBranch: {
+    options: { name: "main" },
+    describe: (rule) => `Default branch must be ${rule.name}`,
+    applies: (repo) => !!repo.defaultBranch,
+    check: (repo, rule) => (repo.defaultBranch === rule.name ? null : `default branch is '${repo.defaultBranch}'`),
+  },
+  branchProtection: {
+    options: { minReviews: 1 },
+    describe: (rule) => `Default branch protected with >= ${rule.minReviews} required review(s)`,
+    applies: (repo) => !!repo.defaultBranch && !repo.isArchived,
+    check: (repo, rule) => {
+      if (repo.branchProtection === undefined) return "branch protection not fetched yet (run fetch --full)";
+      if (repo.branchProtection === "unknown") {
+        return { message: "protection rules not visible to this token (needs admin access)", severity: "warning" };
+      }
+      if (!repo.branchProtection) return `'${repo.defaultBranch}' is not protected`;
+      const reviews = repo.branchProtection.requiredReviews;
+      return reviews >= rule.minReviews ? null : `'${repo.defaultBranch}' requires ${reviews} review(s)`;
+    },
+  },
+  inactivity: {
+    options: { maxDays: 365 },
+    describe: (rule) => `No unarchived repo inactive for more than ${rule.maxDays} days`,
+    applies: (repo) => !repo.isArchived,
+    check: (repo, rule) => {
+      if (!repo.pushedAt) return "never pushed";
+      const days = Math.floor((Date.now() - new Date(repo.pushedAt).getTime()) / DAY_MS);
+      return days > rule.maxDays ? `no push for ${days} days and not archived` : null;
+    },
+  },
+  communityFiles: {
+    options: { files: COMMUNITY_FILES },
+    describe: (rule) => `Must have ${rule.files.join(", ")}`,
+    check: (repo, rule) => {
+      if (!repo.community) return "community files not fetched yet (run fetch --full)";
+      const missing = rule.files.filter((f) => !repo.community[f]);
+      return missing.length ? `missing ${missing.join(", ")}` : null;
+    },
+  },
+};
+
+// Repo name patterns with `*` wildcards
+function matchesAny(name, patterns = []) {
+  return patterns.some((p) => new RegExp(`^${p.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`).test(name));
+}
+
+function normalizeRule(raw, index) {
+  const where = `rule #${index + 1}${raw?.id ? ` (${raw.id})` : ""}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where} must be a mapping`);
+
+  const type = RULE_TYPES[raw.type];
+  if (!type) throw new Error(`${where}: unknown type '${raw.type}'. Use ${Object.keys(RULE_TYPES).join(" | ")}`);
+  const severity = raw.severity || "error";
+  if (!SEVERITIES.includes(severity)) throw new Error(`${where}: severity must be ${SEVERITIES.join(" | ")}`);
+
+  const rule = { id: raw.id || raw.type, type: raw.type, severity, exclude: [].concat(raw.exclude || []) };
+  for (const [name, fallback] of Object.entries(type.options)) {
+    const value = raw[name] ?? fallback;
+    if (typeof fallback === "number" && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`${where}: '${name}' must be a number >= 0`);
+    }
+    if (typeof fallback === "string" && typeof value !== "string") throw new Error(`${where}: '${name}' must be a string`);
+    rule[name] = Array.isArray(fallback) ? [].concat(value) : value;
+  }
+  if (rule.type === "communityFiles") {
+    const unknown = rule.files.filter((f) => !COMMUNITY_FILES.includes(f));
+    if (unknown.length) throw new Error(`${where}: unknown file(s) ${unknown.join(", ")}. Use ${COMMUNITY_FILES.join(", ")}`);
+  }
+  rule.description = raw.description || type.describe(rule);
+  return rule;
+}
+
+/**
+ * Read a policy file:
+ *   exclude: ["sandbox-*"]        # repos the policy ignores
+ *   rules:
+ *     - id: default-branch-main   # defaults to the type
+ *       type: defaultBranch
+ *       name: main
+ *       severity: warning         # error (default) | warning
+ *       exclude: ["legacy-*"]
+ */
+export function loadPolicy(file) {
+  let data;
+  try {
+    data = YAML.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read policy ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(data?.rules) || !data.rules.length) throw new Error(`Policy ${file} has no rules`);
+
+  const rules = data.rules.map(normalizeRule);
+  const ids = new Set();
+  rules.forEach((r) => {
+    if (ids.has(r.id)) throw new Error(`Duplicate rule id '${r.id}' in ${file}`);
+    ids.add(r.id);
+  });
+  return { file, exclude: [].concat(data.exclude || []), rules };
+}
+
+/**
+ * Check every repo against every rule. Returns one result per (rule, repo) pair
+ * the rule applies to: { rule, repo, passed, message, severity }.
+ */
+export function evaluatePolicy(policy, repos) {
+  const results = [];
+  for (const repo of repos) {
+    if (matchesAny(repo.name, policy.exclude)) continue;
+    for (const rule of policy.rules) {
+      const type = RULE_TYPES[rule.type];
+      if (matchesAny(repo.name, rule.exclude) || (type.applies && !type.applies(repo))) continue;
+      const outcome = type.check(repo, rule);
+      const message = typeof outcome === "string" ? outcome : outcome?.message || null;
+      const severity = SEVERITIES[Math.max(SEVERITIES.indexOf(rule.severity), SEVERITIES.indexOf(outcome?.severity))];
+      results.push({ rule, repo, passed: !message, message, severity });
+    }
+  }
+  return results;
+}
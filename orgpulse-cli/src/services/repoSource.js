@@ -0,0 +1,78 @@
+import GitHubAPI from "../github/api.js";
+import { openStore, closeStore } from "../storage/index.js";
+import { repoWebUrl } from "../github/endpoints.js";
+
+export const REPO_SOURCES = ["db", "api"];
+
+/**
+ * Both sources produce the same repo shape, so reports and their JSON exports do
+ * not depend on --source:
+ *   { name, stars, forks, language ("Unknown" when none), openIssues, pushedAt (ISO string | null),
+ *     isArchived, isPrivate, isFork, url, removedAt (ISO string | null) }
+ * `openIssues` from the REST API also counts open pull requests; `fetch` stores issues only.
+ */
+function repoShape({ org, name, stars, forks, language, openIssues, pushedAt, isArchived, isPrivate, isFork, url, removedAt }) {
+  return {
+    name,
+    stars: stars || 0,
+    forks: forks || 0,
+    language: language || "Unknown",
+    openIssues: openIssues || 0,
+    pushedAt: pushedAt ? new Date(pushedAt).toISOString() : null,
+    isArchived: !!isArchived,
+    isPrivate: !!isPrivate,
+    isFork: !!isFork,
+    url: url || repoWebUrl(org, name),
+    removedAt: removedAt ? new Date(removedAt).toISOString() : null,
+  };
+}
+
+function fromStored(repo) {
+  return repoShape({ ...repo, removedAt: repo.removed ? repo.removedAt : null });
+}
+
+function fromApi(repo) {
+  return repoShape({
+    org: repo.owner?.login,
+    name: repo.name,
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    language: repo.language,
+    openIssues: repo.open_issues_count,
+    pushedAt: repo.pushed_at,
+    isArchived: repo.archived,
+    isPrivate: repo.private,
+    isFork: repo.fork,
+    url: repo.html_url,
+    // The API only lists repos that still exist in the org
+    removedAt: null,
+  });
+}
+
+/**
+ * Load every repository of an org, either from the `repos` collection filled by
+ * `fetch` (default) or by paging through the authenticated GitHub REST API.
+ * Stored repos that `fetch` marked as removed are skipped unless `includeRemoved`.
+ */
+export async function loadOrgRepos(org, source = "db", { includeRemoved = false } = {}) {
+  if (!REPO_SOURCES.includes(source)) {
+    throw new Error(`Unknown source '${source}'. Use ${REPO_SOURCES.join(" | ")}`);
+  }
+
+  if (source === "api") {
+    const api = await GitHubAPI.create({ org });
+    const repos = await api.fetchOrgRepos(org);
+    return repos.map(fromApi);
+  }
+
+  const db = await openStore();
+  try {
+    const repos = await db.collection("repos").find(includeRemoved ? { org } : { org, removed: { $ne: true } }).toArray();
+    if (!repos.length) {
+      console.log(`⚠️ No stored repositories for ${org}. Run "orgpulse fetch ${org}" or use --source api.`);
+    }
+    return repos.map(fromStored);
+  } finally {
+    await closeStore();
+  }
+}
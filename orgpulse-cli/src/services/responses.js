@@ -0,0 +1,30 @@
+// src/services/responses.js
+
+// Comment author associations that count as a maintainer response
+const MAINTAINER_ASSOCIATIONS = ["owner", "member", "collaborator"];
+
+/**
+ * First maintainer comment per issue ("org/repo#number" → createdAt), from the comments
+ * stored by `fetch --with-comments`: a comment by an owner, member or collaborator, or by
+ * a stored org member, that is not the issue author's own. `hasComments` is false when
+ * no comments are stored for the repos in `repoQuery`, i.e. response times are unknown.
+ */
+export async function firstResponses(db, org, repoQuery, issues) {
+  const authors = Object.fromEntries(issues.map((i) => [`${i.repo}#${i.number}`, i.author]));
+  const [comments, members] = await Promise.all([
+    db.collection("issue_comments")
+      .find(repoQuery, { projection: { repo: 1, issueNumber: 1, author: 1, authorAssociation: 1, createdAt: 1 } })
+      .toArray(),
+    db.collection("members").find({ org }, { projection: { login: 1 } }).toArray(),
+  ]);
+  const memberLogins = new Set(members.map((m) => m.login));
+
+  const first = {};
+  comments.forEach((c) => {
+    const key = `${c.repo}#${c.issueNumber}`;
+    if (!(key in authors) || (c.author && c.author === authors[key])) return;
+    if (!MAINTAINER_ASSOCIATIONS.includes(c.authorAssociation) && !memberLogins.has(c.author)) return;
+    if (!first[key] || c.createdAt < first[key]) first[key] = c.createdAt;
+  });
+  return { first, hasComments: comments.length > 0 };
+}
@@ -0,0 +1,136 @@
+// src/services/similarity.js
+
+// Words too common in issue text to say anything about the topic
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can do does for from has have how i if in into is it its not of on or " +
+    "our so that the their then there this to was we were what when where which while will with without " +
+    "you your after before should would could doesn't don't cannot can't please").split(" ")
+);
+// Body text counts less than the title and only its start is used
+const BODY_WEIGHT = 0.5;
+const MAX_BODY_CHARS = 2000;
+// Terms in more than this share of documents (and at least MIN_SKIPPED_DF) are skipped when pairing
+const MAX_DOC_FREQUENCY = 0.2;
+const MIN_SKIPPED_DF = 50;
+
+// Crude suffix stripping so "crashes", "crashed" and "crashing" meet at "crash"
+function stem(token) {
+  if (token.length > 5 && token.endsWith("ing")) return token.slice(0, -3);
+  if (token.length > 4 && token.endsWith("ed")) return token.slice(0, -2);
+  if (/(?:ch|sh|x|ss|z)es$/.test(token)) return token.slice(0, -2);
+  return token.length > 3 ? token.replace(/(?<!s)s$/, "") : token;
+}
+
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/```[\s\S]*?```/g, " ")
+    .split(/[^\p{L}\p{N}'_]+/u)
+    .map((t) => t.replace(/^'+|'+$/g, ""))
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t) && !/^\d+$/.test(t))
+    .map(stem);
+}
+
+/**
+ * Unit-length TF-IDF vectors (Map term → weight) for documents of { title, body }.
+ * Returns the vectors and the document frequency of each term.
+ */
+export function tfidfVectors(docs) {
+  const termCounts = docs.map((d) => {
+    const counts = new Map();
+    tokenize(d.title).forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+    tokenize(d.body?.slice(0, MAX_BODY_CHARS)).forEach((t) => counts.set(t, (counts.get(t) || 0) + BODY_WEIGHT));
+    return counts;
+  });
+
+  const df = new Map();
+  termCounts.forEach((counts) => counts.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+
+  const vectors = termCounts.map((counts) => {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((tf, t) => {
+      const weight = (1 + Math.log(tf)) * Math.log(1 + docs.length / df.get(t));
+      vector.set(t, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    vector.forEach((w, t) => vector.set(t, norm ? w / norm : 0));
+    return vector;
+  });
+  return { vectors, df };
+}
+
+/**
+ * Pairs of documents with cosine similarity >= threshold: [{ a, b, score }] by index,
+ * best first. Dot products are accumulated through an inverted index, so only
+ * documents sharing a reasonably rare term are ever compared.
+ */
+export function similarPairs(docs, threshold, accept = () => true) {
+  const { vectors, df } = tfidfVectors(docs);
+  const maxDf = Math.max(MIN_SKIPPED_DF, Math.floor(docs.length * MAX_DOC_FREQUENCY));
+
+  const postings = new Map();
+  vectors.forEach((vector, i) =>
+    vector.forEach((w, t) => {
+      if (df.get(t) > maxDf) return;
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([i, w]);
+    })
+  );
+
+  const pairs = [];
+  vectors.forEach((vector, i) => {
+    const dots = new Map();
+    vector.forEach((w, t) => {
+      (postings.get(t) || []).forEach(([j, wj]) => {
+        if (j > i) dots.set(j, (dots.get(j) || 0) + w * wj);
+      });
+    });
+    dots.forEach((score, j) => {
+      if (score >= threshold && accept(i, j)) pairs.push({ a: i, b: j, score: Math.min(1, score) });
+    });
+  });
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Group paired documents into clusters, strongest pairs first; a pair that would grow
+ * a cluster past `maxSize` is left out. Each cluster lists its members (indexes) with
+ * the best score linking them into it, and the weakest link that holds it together.
+ */
+export function clusterPairs(pairs, maxSize) {
+  const parent = new Map();
+  const members = new Map();
+  const best = new Map();
+  const weakest = new Map();
+  const root = (i) => {
+    if (!parent.has(i)) {
+      parent.set(i, i);
+      members.set(i, [i]);
+    }
+    while (parent.get(i) !== i) i = parent.get(i);
+    return i;
+  };
+
+  pairs.forEach(({ a, b, score }) => {
+    const ra = root(a);
+    const rb = root(b);
+    if (ra !== rb) {
+      if (members.get(ra).length + members.get(rb).length > maxSize) return;
+      parent.set(rb, ra);
+      members.set(ra, members.get(ra).concat(members.get(rb)));
+      members.delete(rb);
+      weakest.set(ra, Math.min(weakest.get(ra) ?? 1, weakest.get(rb) ?? 1, score));
+    }
+    [a, b].forEach((i) => best.set(i, Math.max(best.get(i) || 0, score)));
+  });
+
+  return [...members.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([r, list]) => ({
+      score: weakest.get(r),
+      members: list.map((i) => ({ index: i, score: best.get(i) })).sort((x, y) => y.score - x.score),
+    }))
+    .sort((x, y) => y.score - x.score || y.members.length - x.members.length);
+}
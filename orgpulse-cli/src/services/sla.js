@@ -0,0 +1,116 @@
+// src/services/sla.js
+import fs from "fs";
+import YAML from "yaml";
+
+const HOUR_MS = 60 * 60 * 1000;
+const UNIT_HOURS = { h: 1, d: 24, w: 24 * 7 };
+// Catch-all label: applies to open issues no other SLA covers
+const ANY_LABEL = "*";
+
+export const SLA_STATUSES = ["breached", "at-risk"];
+
+// "3d", "48h", "2w" or a plain number of days → hours
+function parseDuration(value, where) {
+  if (typeof value === "number" && value > 0) return value * 24;
+  const match = typeof value === "string" && value.trim().match(/^(\d+(?:\.\d+)?)\s*([hdw])$/i);
+  if (!match || Number(match[1]) <= 0) throw new Error(`${where}: expected a duration like 3d, 48h or 2w`);
+  return Number(match[1]) * UNIT_HOURS[match[2].toLowerCase()];
+}
+
+function formatDuration(hours) {
+  return hours < 48 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)}d`;
+}
+
+function normalizeSla(raw, index) {
+  const where = `SLA #${index + 1}${raw?.label ? ` (${raw.label})` : ""}`;
+  if (!raw || typeof raw !== "object") throw new Error(`${where} must be a mapping`);
+  if (typeof raw.label !== "string" || !raw.label.trim()) throw new Error(`${where}: 'label' is required`);
+  if (raw.respondWithin === undefined && raw.closeWithin === undefined) {
+    throw new Error(`${where}: set respondWithin and/or closeWithin`);
+  }
+  return {
+    label: raw.label.trim(),
+    respondHours: raw.respondWithin === undefined ? null : parseDuration(raw.respondWithin, `${where} respondWithin`),
+    closeHours: raw.closeWithin === undefined ? null : parseDuration(raw.closeWithin, `${where} closeWithin`),
+  };
+}
+
+/**
+ * Read an SLA policy file:
+ *   warnAt: 0.8            # share of a deadline after which an issue is at risk
+ *   maxBreaches: 0         # breached issues tolerated before `sla` exits non-zero
+ *   slas:
+ *     - label: bug         # matched case-insensitively; "*" = issues no other SLA covers
+ *       respondWithin: 3d  # first maintainer response (3d, 48h, 2w or days)
+ *       closeWithin: 30    # closure
+ */
+export function loadSlaPolicy(file) {
+  let data;
+  try {
+    data = YAML.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read SLA policy ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(data?.slas) || !data.slas.length) throw new Error(`SLA policy ${file} has no slas`);
+
+  const warnAt = data.warnAt ?? 0.8;
+  if (!(Number.isFinite(warnAt) && warnAt > 0 && warnAt <= 1)) throw new Error(`SLA policy ${file}: warnAt must be between 0 and 1`);
+  const maxBreaches = data.maxBreaches ?? 0;
+  if (!(Number.isInteger(maxBreaches) && maxBreaches >= 0)) throw new Error(`SLA policy ${file}: maxBreaches must be an integer >= 0`);
+
+  const slas = data.slas.map(normalizeSla);
+  const labels = new Set();
+  slas.forEach((s) => {
+    const key = s.label.toLowerCase();
+    if (labels.has(key)) throw new Error(`Duplicate SLA for label '${s.label}' in ${file}`);
+    labels.add(key);
+  });
+  return { file, warnAt, maxBreaches, slas };
+}
+
+// Status of one deadline for an issue that has been waiting `hours`
+function checkDeadline(hours, limit, warnAt) {
+  if (hours > limit) return "breached";
+  if (hours > limit * warnAt) return "at-risk";
+  return null;
+}
+
+/**
+ * Check open issues against the SLAs of their labels. Returns one finding per
+ * (issue, SLA) pair that is breached or at risk: { issue, label, status, ageHours, reasons }.
+ * `responses` maps "org/repo#number" to the first maintainer response; pass null when
+ * response times are unknown and respondWithin is skipped.
+ */
+export function evaluateSla(policy, issues, responses, now = Date.now()) {
+  const byLabel = Object.fromEntries(policy.slas.map((s) => [s.label.toLowerCase(), s]));
+  const findings = [];
+
+  issues
+    .filter((i) => i.state === "open")
+    .forEach((issue) => {
+      const matched = (issue.labels || []).map((l) => byLabel[l.toLowerCase()]).filter((s) => s && s.label !== ANY_LABEL);
+      const slas = matched.length ? matched : [byLabel[ANY_LABEL]].filter(Boolean);
+      const ageHours = (now - new Date(issue.createdAt).getTime()) / HOUR_MS;
+
+      slas.forEach((sla) => {
+        const checks = [];
+        if (sla.respondHours !== null && responses && !responses[`${issue.repo}#${issue.number}`]) {
+          const status = checkDeadline(ageHours, sla.respondHours, policy.warnAt);
+          if (status) checks.push({ status, reason: `no response for ${formatDuration(ageHours)} (SLA ${formatDuration(sla.respondHours)})` });
+        }
+        if (sla.closeHours !== null) {
+          const status = checkDeadline(ageHours, sla.closeHours, policy.warnAt);
+          if (status) checks.push({ status, reason: `open for ${formatDuration(ageHours)} (SLA ${formatDuration(sla.closeHours)})` });
+        }
+        if (!checks.length) return;
+        findings.push({
+          issue,
+          label: sla.label,
+          status: checks.some((c) => c.status === "breached") ? "breached" : "at-risk",
+          ageHours,
+          reasons: checks.map((c) => c.reason),
+        });
+      });
+    });
+  return findings;
+}
@@ -0,0 +1,353 @@
+// src/storage/fileStore.js
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+// Writes within this window are persisted together instead of rewriting the file on each one
+const FLUSH_DELAY_MS = 1000;
+
+/* =====================================================================================
+ * Query helpers (the subset of MongoDB query/update syntax the commands use)
+ * =================================================================================== */
+
+// Dates may be stored as Date objects or ISO strings; compare them as timestamps
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && ISO_DATE.test(value)) return Date.parse(value);
+  return value;
+}
+
+function getPath(doc, key) {
+  return key.split(".").reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), doc);
+}
+
+function setPath(doc, key, value) {
+  const keys = key.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((v, k) => (v[k] = v[k] && typeof v[k] === "object" ? v[k] : {}), doc);
+  target[last] = value;
+}
+
+function unsetPath(doc, key) {
+  const keys = key.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((v, k) => (v ? v[k] : undefined), doc);
+  if (target) delete target[last];
+}
+
+function matchesRegex(value, pattern, options) {
+  if (Array.isArray(value)) return value.some(v => matchesRegex(v, pattern, options));
+  return typeof value === "string" && new RegExp(pattern, options).test(value);
+}
+
+function equals(a, b) {
+  if (Array.isArray(a)) return a.some(v => equals(v, b));
+  if (b instanceof RegExp) return typeof a === "string" && b.test(a);
+  return comparable(a) === comparable(b) || (a === undefined && b === null);
+}
+
+function matchOperator(value, op, arg) {
+  const v = comparable(value);
+  const a = comparable(arg);
+  switch (op) {
+    case "$eq": return equals(value, arg);
+    case "$ne": return !equals(value, arg);
+    case "$gt": return value !== null && value !== undefined && v > a;
+    case "$gte": return value !== null && value !== undefined && v >= a;
+    case "$lt": return value !== null && value !== undefined && v < a;
+    case "$lte": return value !== null && value !== undefined && v <= a;
+    case "$in": return arg.some(x => equals(value, x));
+    case "$nin": return !arg.some(x => equals(value, x));
+    case "$exists": return (value !== undefined) === !!arg;
+    default: throw new Error(`Query operator ${op} is not supported by the file store`);
+  }
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some(f => matches(doc, f));
+    if (key === "$and") return cond.every(f => matches(doc, f));
+    if (key === "$text") throw new Error("Text search needs MongoDB; it is not supported by the file store");
+    const value = getPath(doc, key);
+    if (cond && typeof cond === "object" && !(cond instanceof Date) && !(cond instanceof RegExp) && !Array.isArray(cond)) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === "$options") return true;
+        if (op === "$regex") return matchesRegex(value, arg, cond.$options);
+        return matchOperator(value, op, arg);
+      });
+    }
+    return equals(value, cond);
+  });
+}
+
+// Apply `update` to a copy of `doc`; `modified` tells whether anything changed
+function updated(doc, update) {
+  const before = JSON.stringify(doc);
+  const next = applyUpdate(structuredClone(doc), update, false);
+  return { doc: next, modified: JSON.stringify(next) !== before };
+}
+
+function applyUpdate(doc, update, isInsert) {
+  if (!Object.keys(update).some(k => k.startsWith("$"))) {
+    return { _id: doc._id, ...structuredClone(update) };
+  }
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (op === "$set") setPath(doc, key, structuredClone(value));
+      else if (op === "$setOnInsert") { if (isInsert) setPath(doc, key, structuredClone(value)); }
+      else if (op === "$inc") setPath(doc, key, (getPath(doc, key) || 0) + value);
+      else if (op === "$unset") unsetPath(doc, key);
+      else if (op === "$push") setPath(doc, key, [...(getPath(doc, key) || []), structuredClone(value)]);
+      else throw new Error(`Update operator ${op} is not supported by the file store`);
+    }
+  }
+  return doc;
+}
+
+function project(doc, projection) {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const include = Object.entries(projection).some(([k, v]) => v && k !== "_id");
+  if (include) {
+    const out = projection._id === 0 ? {} : { _id: doc._id };
+    Object.entries(projection).forEach(([k, v]) => {
+      if (v && k !== "_id") setPath(out, k, getPath(doc, k));
+    });
+    return out;
+  }
+  const out = structuredClone(doc);
+  Object.keys(projection).forEach(k => unsetPath(out, k));
+  return out;
+}
+
+function compareBy(sort) {
+  const keys = Object.entries(sort);
+  return (a, b) => {
+    for (const [key, dir] of keys) {
+      const va = comparable(getPath(a, key));
+      const vb = comparable(getPath(b, key));
+      if (va === vb) continue;
+      if (va === null || va === undefined) return -dir;
+      if (vb === null || vb === undefined) return dir;
+      return va < vb ? -dir : dir;
+    }
+    return 0;
+  };
+}
+
+/* =====================================================================================
+ * Cursor / Collection
+ * =================================================================================== */
+class FileCursor {
+  constructor(docs, projection) {
+    this.docs = docs;
+    this.projection = projection;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = 0;
+  }
+
+  sort(spec) { this._sort = spec; return this; }
+  skip(n) { this._skip = n; return this; }
+  limit(n) { this._limit = n; return this; }
+
+  async toArray() {
+    let docs = [...this.docs];
+    if (this._sort) docs.sort(compareBy(this._sort));
+    docs = docs.slice(this._skip, this._limit ? this._skip + this._limit : undefined);
+    return docs.map(d => project(structuredClone(d), this.projection));
+  }
+}
+
+class FileCollection {
+  constructor(store, name) {
+    this.store = store;
+    this.db = store;
+    this.collectionName = name;
+  }
+
+  get docs() {
+    return this.store.data[this.collectionName] || (this.store.data[this.collectionName] = []);
+  }
+
+  find(filter = {}, options = {}) {
+    return new FileCursor(this.docs.filter(d => matches(d, filter)), options.projection);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options).limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(d => matches(d, filter)).length;
+  }
+
+  async distinct(key, filter = {}) {
+    return [...new Set(this.docs.filter(d => matches(d, filter)).flatMap(d => [].concat(getPath(d, key) ?? [])))];
+  }
+
+  _updateOne(filter, update, { upsert = false } = {}) {
+    const idx = this.docs.findIndex(d => matches(d, filter));
+    if (idx !== -1) {
+      const { doc, modified } = updated(this.docs[idx], update);
+      this.docs[idx] = doc;
+      return { matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0 };
+    }
+    if (!upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    const seed = { _id: randomUUID() };
+    Object.entries(filter).forEach(([k, v]) => {
+      if (!k.startsWith("$") && (v === null || typeof v !== "object" || v instanceof Date)) setPath(seed, k, v);
+    });
+    this.docs.push(applyUpdate(seed, update, true));
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+  }
+
+  async updateOne(filter, update, options) {
+    const res = this._updateOne(filter, update, options);
+    if (res.modifiedCount || res.upsertedCount) this.store.markDirty();
+    return res;
+  }
+
+  async updateMany(filter, update) {
+    let matchedCount = 0;
+    let modifiedCount = 0;
+    this.docs.forEach((d, i) => {
+      if (matches(d, filter)) {
+        const { doc, modified } = updated(d, update);
+        this.docs[i] = doc;
+        matchedCount++;
+        if (modified) modifiedCount++;
+      }
+    });
+    if (modifiedCount) this.store.markDirty();
+    return { matchedCount, modifiedCount };
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: randomUUID(), ...structuredClone(doc) };
+    this.docs.push(stored);
+    this.store.markDirty();
+    return { insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    docs.forEach(doc => this.docs.push({ _id: randomUUID(), ...structuredClone(doc) }));
+    this.store.markDirty();
+    return { insertedCount: docs.length };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.store.data[this.collectionName] = this.docs.filter(d => !matches(d, filter));
+    const deletedCount = before - this.docs.length;
+    if (deletedCount) this.store.markDirty();
+    return { deletedCount };
+  }
+
+  async bulkWrite(ops) {
+    const result = { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, insertedCount: 0 };
+    for (const op of ops) {
+      if (op.updateOne) {
+        const { filter, update, upsert } = op.updateOne;
+        const res = this._updateOne(filter, update, { upsert });
+        result.matchedCount += res.matchedCount;
+        result.modifiedCount += res.modifiedCount;
+        result.upsertedCount += res.upsertedCount;
+      } else if (op.insertOne) {
+        this.docs.push({ _id: randomUUID(), ...structuredClone(op.insertOne.document) });
+        result.insertedCount++;
+      } else {
+        throw new Error(`Bulk operation ${Object.keys(op)[0]} is not supported by the file store`);
+      }
+    }
+    if (result.modifiedCount || result.upsertedCount || result.insertedCount) this.store.markDirty();
+    return result;
+  }
+
+  // Indexes have no meaning for an in-memory scan
+  async createIndexes() { return []; }
+  async createIndex() { return null; }
+  async indexExists() { return true; }
+
+  aggregate() {
+    throw new Error(`Aggregation on '${this.collectionName}' needs MongoDB; it is not supported by the file store`);
+  }
+}
+
+/* =====================================================================================
+ * File Store: every collection kept in memory and persisted as one JSON-lines file
+ * (one `{"collection": ..., "doc": ...}` record per line)
+ * =================================================================================== */
+export class FileStore {
+  constructor(filePath) {
+    this.type = "file";
+    this.filePath = path.resolve(filePath);
+    this.data = {};
+    this.dirty = false;
+    this.flushTimer = null;
+    // Last chance for writes still waiting on the timer when the process ends without close()
+    this.flushOnExit = () => this.dirty && this.flush();
+  }
+
+  async connect() {
+    this.data = {};
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, "utf-8").split("\n").filter(Boolean);
+      lines.forEach((line, i) => {
+        try {
+          const { collection, doc } = JSON.parse(line);
+          (this.data[collection] = this.data[collection] || []).push(doc);
+        } catch (err) {
+          throw new Error(`Corrupt store file ${this.filePath} at line ${i + 1}: ${err.message}`);
+        }
+      });
+    } else {
+      // A new store is written out on close even when nothing was stored yet
+      this.dirty = true;
+    }
+    process.on("exit", this.flushOnExit);
+    console.log(`✅ File store opened: ${this.filePath}`);
+    return this;
+  }
+
+  collection(name) {
+    return new FileCollection(this, name);
+  }
+
+  async command(cmd) {
+    // ping and collMod (schema validation) are meaningless here; acknowledge them
+    return { ok: 1, ...(cmd.ping ? {} : { note: "ignored by file store" }) };
+  }
+
+  // Record a change; the whole file is rewritten at most once per FLUSH_DELAY_MS and on close().
+  // A store nobody wrote to is never rewritten.
+  markDirty() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  // Synchronous write + rename so concurrent fetch workers never interleave a half-written file
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.dirty = false;
+    const lines = [];
+    for (const [collection, docs] of Object.entries(this.data)) {
+      docs.forEach(doc => lines.push(JSON.stringify({ collection, doc })));
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, lines.join("\n") + (lines.length ? "\n" : ""));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async close() {
+    if (this.dirty) this.flush();
+    process.off("exit", this.flushOnExit);
+    console.log(`🔌 File store closed: ${this.filePath}`);
+  }
+}
@@ -0,0 +1,105 @@
+// src/storage/index.js
+import { connectToMongo, closeConnection } from "../db/connection.js";
+import { getSettings } from "../utils/config.js";
+import { FileStore } from "./fileStore.js";
+
+/**
+ * Storage adapters.
+ *
+ * Every adapter exposes the same db-like surface the commands and models use:
+ *   - `collection(name)` → find(filter, { projection }).sort().skip().limit().toArray(),
+ *     findOne, countDocuments, distinct, insertOne, insertMany, updateOne, updateMany,
+ *     deleteMany, bulkWrite (updateOne/insertOne ops), createIndexes
+ *   - `command({ ping: 1 })`
+ *   - `type` ("mongo" | "file")
+ *
+ * `mongo` is a thin wrapper around the shared MongoDB connection; `file` keeps
+ * everything in a single JSON-lines file so no database server is needed.
+ * Aggregation pipelines and `$text` search are MongoDB-only.
+ */
+
+let storeOverride = null;
+let activeStore = null;
+
+class MongoStore {
+  constructor(uri) {
+    this.type = "mongo";
+    this.uri = uri;
+    this.db = null;
+  }
+
+  async connect() {
+    this.db = await connectToMongo(this.uri);
+    return this;
+  }
+
+  collection(name) {
+    return this.db.collection(name);
+  }
+
+  command(cmd) {
+    return this.db.command(cmd);
+  }
+
+  async close() {
+    await closeConnection();
+  }
+}
+
+/**
+ * Parse a store spec:
+ *   "mongo" (default, uses the configured Mongo URI), "mongodb://…", "mongodb+srv://…",
+ *   or "file:<path>" for the embedded single-file store.
+ */
+export function parseStoreSpec(spec = "mongo") {
+  if (spec === "mongo" || spec === "mongodb") return { type: "mongo", uri: null };
+  if (/^mongodb(\+srv)?:\/\//.test(spec)) return { type: "mongo", uri: spec };
+  if (spec.startsWith("file:")) {
+    const filePath = spec.slice("file:".length);
+    if (!filePath) throw new Error("File store needs a path, e.g. --store file:./orgpulse.db");
+    return { type: "file", path: filePath };
+  }
+  throw new Error(`Unknown store '${spec}'. Use mongo | mongodb://… | file:<path>`);
+}
+
+// Called from the global --store flag before any command runs
+export function selectStore(spec) {
+  if (!spec) return;
+  parseStoreSpec(spec);
+  storeOverride = spec;
+}
+
+export function currentStoreSpec() {
+  return parseStoreSpec(storeOverride || getSettings().store);
+}
+
+/**
+ * Error message for a command that relies on MongoDB-only features (aggregation
+ * pipelines, `$text` search) when another store is selected; null on MongoDB.
+ */
+export function mongoOnlyError(command, feature) {
+  const spec = currentStoreSpec();
+  if (spec.type === "mongo") return null;
+  return `\`${command}\` requires MongoDB: it uses ${feature}, which the ${spec.type} store (${spec.path}) does not support. Run it with --store mongo or a mongodb:// URI.`;
+}
+
+export async function openStore() {
+  if (activeStore) return activeStore;
+  const spec = currentStoreSpec();
+  const store = spec.type === "file" ? new FileStore(spec.path) : new MongoStore(spec.uri);
+  await store.connect();
+  activeStore = store;
+  return store;
+}
+
+export async function closeStore() {
+  if (!activeStore) return;
+  const store = activeStore;
+  activeStore = null;
+  await store.close();
+}
+
+export function getStore() {
+  if (!activeStore) throw new Error("Store not open");
+  return activeStore;
+}
@@ -0,0 +1,226 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { FileStore } from "../storage/fileStore.js";
+import {
+  FetchRun,
+  FetchRunLockedError,
+  FetchRunCancelledError,
+  changedOptions,
+  isLockLive,
+  repoKey,
+  repoName,
+} from "../db/fetchRuns.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+// Far above any pid the kernel hands out, so never a live process
+const DEAD_PID = 2 ** 30;
+const OPTIONS = { full: false, skipPrs: false, maxIssues: null, issueStates: ["open", "closed"] };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-runs-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let db;
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  db = await new FileStore(path.join(dir, `store-${Math.random().toString(36).slice(2)}.jsonl`)).connect();
+});
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+// A run of `org` whose lock belongs to some other process
+async function storedRun(fields = {}) {
+  const now = new Date();
+  const doc = {
+    runId: "r-old",
+    org: "acme",
+    status: "running",
+    phase: "issues",
+    options: OPTIONS,
+    cursors: {},
+    repos: {},
+    errors: [],
+    lock: { host: os.hostname(), pid: DEAD_PID, acquiredAt: now },
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    ...fields,
+  };
+  await FetchRun.collection(db).insertOne(doc);
+  return doc;
+}
+
+describe("changedOptions", () => {
+  test("lists options whose values differ", () => {
+    expect(changedOptions({ full: false, maxIssues: 10 }, { full: true, maxIssues: 10 })).toEqual(["full"]);
+  });
+
+  test("compares arrays and objects by value", () => {
+    expect(changedOptions({ issueStates: ["open"] }, { issueStates: ["open"] })).toEqual([]);
+    expect(changedOptions({ issueStates: ["open"] }, { issueStates: ["open", "closed"] })).toEqual(["issueStates"]);
+  });
+
+  test("missing and null count as the same value", () => {
+    expect(changedOptions({}, { maxPrs: null })).toEqual([]);
+    expect(changedOptions({ maxPrs: null }, {})).toEqual([]);
+    expect(changedOptions(undefined, { since: null })).toEqual([]);
+  });
+
+  test("only checks the given keys", () => {
+    expect(changedOptions({ full: false, skipPrs: false }, { full: true, skipPrs: true }, ["skipPrs"])).toEqual(["skipPrs"]);
+    expect(changedOptions({ full: false }, { full: true }, [])).toEqual([]);
+  });
+});
+
+describe("isLockLive", () => {
+  test("a run without a lock is not live", () => {
+    expect(isLockLive({ lock: null })).toBe(false);
+  });
+
+  test("on this host the lock lives as long as its process", () => {
+    expect(isLockLive({ lock: { host: os.hostname(), pid: process.pid }, updatedAt: new Date(0) })).toBe(true);
+    expect(isLockLive({ lock: { host: os.hostname(), pid: DEAD_PID }, updatedAt: new Date() })).toBe(false);
+  });
+
+  test("on another host the lock expires when the run stops being updated", () => {
+    const lock = { host: `${os.hostname()}-other`, pid: process.pid };
+    expect(isLockLive({ lock, updatedAt: new Date(Date.now() - HOUR_MS) })).toBe(true);
+    expect(isLockLive({ lock, updatedAt: new Date(Date.now() - 3 * HOUR_MS) })).toBe(false);
+  });
+});
+
+describe("repoKey", () => {
+  test("escapes characters MongoDB reads as paths or operators", () => {
+    expect(repoKey("socket.io")).toBe("socket%2Eio");
+    expect(repoKey("$root")).toBe("%24root");
+    expect(repoKey("100%")).toBe("100%25");
+    expect(repoKey("plain-name")).toBe("plain-name");
+  });
+
+  test("repoName reverses it", () => {
+    ["socket.io", "$root", "100%", "a.b%2Ec", "plain-name"].forEach((name) => expect(repoName(repoKey(name))).toBe(name));
+  });
+});
+
+describe("FetchRun.start", () => {
+  test("starts a running run locked by this process", async () => {
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    const stored = await FetchRun.find(db, run.runId);
+    expect(stored.doc).toMatchObject({ org: "acme", status: "running", phase: "repos", options: OPTIONS });
+    expect(stored.doc.lock).toMatchObject({ host: os.hostname(), pid: process.pid });
+    expect(run.previous).toBeNull();
+    expect(run.resumed).toBeUndefined();
+  });
+
+  test("refuses while another live process holds the org", async () => {
+    // pid 1 always exists and is not this process
+    await storedRun({ lock: { host: os.hostname(), pid: 1, acquiredAt: new Date() } });
+    await expect(FetchRun.start(db, "acme", OPTIONS)).rejects.toThrow(FetchRunLockedError);
+    await expect(FetchRun.start(db, "acme", OPTIONS, { resume: true })).rejects.toThrow(FetchRunLockedError);
+  });
+
+  test("takes over a stale run with the same options", async () => {
+    await storedRun();
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    expect(run.runId).toBe("r-old");
+    expect(run.resumed).toBe(true);
+    expect((await FetchRun.find(db, "r-old")).doc.lock.pid).toBe(process.pid);
+  });
+
+  test("closes a stale run with other options and starts fresh", async () => {
+    await storedRun();
+    const run = await FetchRun.start(db, "acme", { ...OPTIONS, full: true });
+    expect(run.runId).not.toBe("r-old");
+    expect(run.previous.runId).toBe("r-old");
+    expect((await FetchRun.find(db, "r-old")).doc).toMatchObject({ status: "failed", lock: null });
+  });
+
+  test("a failed run is left alone unless --resume is given", async () => {
+    await storedRun({ status: "failed", lock: null });
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    expect(run.runId).not.toBe("r-old");
+    expect(run.previous).toMatchObject({ runId: "r-old", status: "failed" });
+    expect((await FetchRun.find(db, "r-old")).doc.status).toBe("failed");
+  });
+
+  test("--resume picks up the latest unfinished run", async () => {
+    await storedRun({ status: "cancelled", lock: null });
+    const run = await FetchRun.start(db, "acme", OPTIONS, { resume: true });
+    expect(run.runId).toBe("r-old");
+    expect(run.resumed).toBe(true);
+    expect(run.phase).toBe("issues");
+  });
+
+  test("--resume refuses explicitly changed options", async () => {
+    await storedRun({ status: "failed", lock: null });
+    await expect(FetchRun.start(db, "acme", { ...OPTIONS, full: true }, { resume: true, explicit: ["full"] }))
+      .rejects.toThrow("Run r-old was started with different options (full)");
+    expect((await FetchRun.find(db, "r-old")).doc.status).toBe("failed");
+  });
+
+  test("--resume ignores defaults the user did not pass", async () => {
+    await storedRun({ status: "failed", lock: null });
+    const run = await FetchRun.start(db, "acme", { ...OPTIONS, maxIssues: 50 }, { resume: true, explicit: [] });
+    expect(run.runId).toBe("r-old");
+    expect(run.options.maxIssues).toBeNull();
+  });
+
+  test("--resume without an unfinished run fails", async () => {
+    await storedRun({ status: "completed", lock: null });
+    await expect(FetchRun.start(db, "acme", OPTIONS, { resume: true })).rejects.toThrow("No unfinished run for acme to resume");
+  });
+});
+
+describe("FetchRun.resume", () => {
+  test("keeps the progress of finished repos", async () => {
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    await run.enterPhase("issues");
+    await run.saveRepoProgress("socket.io", "issues", { endCursor: "c9", count: 42, done: true });
+    await run.saveRepoProgress("api", "issues", { endCursor: "c2", count: 60 });
+    await run.finish("failed", new Error("rate limited"));
+
+    const resumed = await FetchRun.resume(db, run.runId);
+    expect(resumed.phase).toBe("issues");
+    expect(resumed.repoProgress("socket.io", "issues")).toEqual({ endCursor: "c9", count: 42, done: true });
+    expect(resumed.repoProgress("api", "issues")).toEqual({ endCursor: "c2", count: 60 });
+    expect(resumed.repoProgress("web", "issues")).toEqual({});
+    expect(resumed.repoProgress("socket.io", "pullRequests")).toEqual({});
+    expect(resumed.errorCount).toBe(1);
+  });
+
+  test("refuses completed and unknown runs", async () => {
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    await run.finish("completed");
+    await expect(FetchRun.resume(db, run.runId)).rejects.toThrow(`Run ${run.runId} is completed and cannot be resumed`);
+    await expect(FetchRun.resume(db, "nope")).rejects.toThrow("Run nope not found");
+  });
+
+  test("refuses a run another live process is working on", async () => {
+    await storedRun({ lock: { host: `${os.hostname()}-other`, pid: 1, acquiredAt: new Date() } });
+    await expect(FetchRun.resume(db, "r-old")).rejects.toThrow(FetchRunLockedError);
+  });
+
+  test("takes over a run whose lock went stale on another host", async () => {
+    const old = new Date(Date.now() - 3 * HOUR_MS);
+    await storedRun({ lock: { host: `${os.hostname()}-other`, pid: 1, acquiredAt: old }, updatedAt: old });
+    const run = await FetchRun.resume(db, "r-old");
+    expect(run.doc.lock).toMatchObject({ host: os.hostname(), pid: process.pid });
+  });
+});
+
+describe("cancelling", () => {
+  test("a run cancelled elsewhere stops on its next save", async () => {
+    const run = await FetchRun.start(db, "acme", OPTIONS);
+    expect(await FetchRun.cancel(db, run.runId)).toBe(true);
+    await expect(run.saveCursor("repos", { endCursor: "x", count: 100 })).rejects.toThrow(FetchRunCancelledError);
+    expect(() => run.assertActive()).toThrow(FetchRunCancelledError);
+
+    await run.finish("failed");
+    expect((await FetchRun.find(db, run.runId)).doc).toMatchObject({ status: "cancelled", lock: null });
+  });
+});
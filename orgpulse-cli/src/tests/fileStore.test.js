@@ -0,0 +1,170 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { matches, FileStore } from "../storage/fileStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-filestore-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("fileStore matches", () => {
+  const repo = {
+    org: "acme",
+    name: "api",
+    stars: 12,
+    removed: false,
+    labels: ["bug", "help wanted"],
+    pushedAt: "2026-03-01T10:00:00Z",
+    branchProtection: { requiredReviews: 2 },
+    removedAt: null,
+  };
+
+  test("an empty filter matches everything", () => {
+    expect(matches(repo, {})).toBe(true);
+    expect(matches(repo)).toBe(true);
+  });
+
+  test("plain values and dotted paths", () => {
+    expect(matches(repo, { org: "acme", name: "api" })).toBe(true);
+    expect(matches(repo, { org: "other" })).toBe(false);
+    expect(matches(repo, { "branchProtection.requiredReviews": 2 })).toBe(true);
+    expect(matches(repo, { "branchProtection.missing.deep": 1 })).toBe(false);
+  });
+
+  test("null matches null and missing fields, like MongoDB", () => {
+    expect(matches(repo, { removedAt: null })).toBe(true);
+    expect(matches(repo, { closedAt: null })).toBe(true);
+    expect(matches(repo, { name: null })).toBe(false);
+  });
+
+  test("$ne treats missing fields as not equal to a value", () => {
+    expect(matches(repo, { removed: { $ne: true } })).toBe(true);
+    expect(matches({ name: "old" }, { removed: { $ne: true } })).toBe(true);
+    expect(matches({ removed: true }, { removed: { $ne: true } })).toBe(false);
+    expect(matches(repo, { removedAt: { $ne: null } })).toBe(false);
+  });
+
+  test("array fields match when any element does", () => {
+    expect(matches(repo, { labels: "bug" })).toBe(true);
+    expect(matches(repo, { labels: "question" })).toBe(false);
+    expect(matches(repo, { labels: { $in: ["question", "help wanted"] } })).toBe(true);
+    expect(matches(repo, { labels: { $nin: ["bug"] } })).toBe(false);
+    expect(matches(repo, { labels: { $ne: "bug" } })).toBe(false);
+  });
+
+  test("$in and $nin", () => {
+    expect(matches(repo, { name: { $in: ["api", "web"] } })).toBe(true);
+    expect(matches(repo, { name: { $nin: ["api", "web"] } })).toBe(false);
+    expect(matches(repo, { name: { $nin: [] } })).toBe(true);
+    expect(matches(repo, { name: { $in: [] } })).toBe(false);
+  });
+
+  test("range operators skip null and missing values", () => {
+    expect(matches(repo, { stars: { $gte: 12, $lt: 13 } })).toBe(true);
+    expect(matches(repo, { stars: { $gt: 12 } })).toBe(false);
+    expect(matches({ stars: null }, { stars: { $lt: 5 } })).toBe(false);
+    expect(matches({}, { stars: { $lte: 5 } })).toBe(false);
+  });
+
+  test("dates compare as timestamps whether stored as Date or ISO string", () => {
+    expect(matches(repo, { pushedAt: { $gte: new Date("2026-01-01") } })).toBe(true);
+    expect(matches(repo, { pushedAt: { $lt: "2026-02-01T00:00:00.000Z" } })).toBe(false);
+    expect(matches({ at: new Date("2026-03-01T10:00:00Z") }, { at: "2026-03-01T10:00:00.000Z" })).toBe(true);
+    expect(matches(repo, { pushedAt: new Date("2026-03-01T10:00:00Z") })).toBe(true);
+  });
+
+  test("$exists", () => {
+    expect(matches(repo, { removedAt: { $exists: true } })).toBe(true);
+    expect(matches(repo, { closedAt: { $exists: true } })).toBe(false);
+    expect(matches(repo, { closedAt: { $exists: false } })).toBe(true);
+  });
+
+  test("$regex with $options, and RegExp values", () => {
+    expect(matches({ repo: "acme/api" }, { repo: { $regex: "^acme/" } })).toBe(true);
+    expect(matches({ repo: "acme/api" }, { repo: { $regex: "^ACME/" } })).toBe(false);
+    expect(matches({ repo: "acme/api" }, { repo: { $regex: "^ACME/", $options: "i" } })).toBe(true);
+    expect(matches({ repo: 5 }, { repo: { $regex: "5" } })).toBe(false);
+    expect(matches(repo, { labels: /^help/ })).toBe(true);
+  });
+
+  test("$regex matches any element of an array field", () => {
+    expect(matches(repo, { labels: { $regex: "^help" } })).toBe(true);
+    expect(matches(repo, { labels: { $regex: "^HELP", $options: "i" } })).toBe(true);
+    expect(matches(repo, { labels: { $regex: "^question" } })).toBe(false);
+    expect(matches({ topics: [] }, { topics: { $regex: "." } })).toBe(false);
+  });
+
+  test("$or and $and", () => {
+    expect(matches(repo, { $or: [{ name: "web" }, { stars: { $gt: 10 } }] })).toBe(true);
+    expect(matches(repo, { $or: [{ name: "web" }, { stars: { $gt: 20 } }] })).toBe(false);
+    expect(matches(repo, { $and: [{ org: "acme" }, { name: "api" }] })).toBe(true);
+    expect(matches(repo, { org: "acme", $or: [{ closedAt: null }, { closedAt: { $gte: "2026-01-01T00:00:00Z" } }] })).toBe(true);
+  });
+
+  test("$text and unknown operators are refused", () => {
+    expect(() => matches(repo, { $text: { $search: "api" } })).toThrow(/needs MongoDB/);
+    expect(() => matches(repo, { stars: { $mod: [2, 0] } })).toThrow(/\$mod is not supported/);
+  });
+});
+
+describe("FileStore writes", () => {
+  let file;
+  let store;
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    file = path.join(dir, `store-${Math.random().toString(36).slice(2)}.jsonl`);
+    fs.writeFileSync(file, `${JSON.stringify({ collection: "repos", doc: { _id: "1", org: "acme", name: "api", stars: 3 } })}\n`);
+    store = await new FileStore(file).connect();
+  });
+  afterEach(async () => {
+    await store.close();
+    jest.restoreAllMocks();
+  });
+
+  test("updateOne reports what actually happened", async () => {
+    const repos = store.collection("repos");
+    expect(await repos.updateOne({ name: "api" }, { $set: { stars: 3 } })).toEqual({ matchedCount: 1, modifiedCount: 0, upsertedCount: 0 });
+    expect(await repos.updateOne({ name: "api" }, { $set: { stars: 4 } })).toEqual({ matchedCount: 1, modifiedCount: 1, upsertedCount: 0 });
+    expect(await repos.updateOne({ name: "web" }, { $set: { stars: 1 } })).toEqual({ matchedCount: 0, modifiedCount: 0, upsertedCount: 0 });
+    expect(await repos.updateOne({ org: "acme", name: "web" }, { $set: { stars: 1 } }, { upsert: true }))
+      .toEqual({ matchedCount: 0, modifiedCount: 0, upsertedCount: 1 });
+    expect(await repos.findOne({ name: "web" }, { projection: { _id: 0 } })).toEqual({ org: "acme", name: "web", stars: 1 });
+  });
+
+  test("updateMany and bulkWrite count unchanged documents as matched only", async () => {
+    const repos = store.collection("repos");
+    await repos.insertOne({ org: "acme", name: "web", stars: 5 });
+    expect(await repos.updateMany({ org: "acme" }, { $set: { stars: 5 } })).toEqual({ matchedCount: 2, modifiedCount: 1 });
+    const res = await repos.bulkWrite([
+      { updateOne: { filter: { name: "api" }, update: { $set: { stars: 5 } } } },
+      { updateOne: { filter: { name: "web" }, update: { $set: { stars: 6 } } } },
+    ]);
+    expect(res).toMatchObject({ matchedCount: 2, modifiedCount: 1, upsertedCount: 0 });
+  });
+
+  test("a store that was only read is not rewritten on close", async () => {
+    await store.collection("repos").find({ org: "acme" }).toArray();
+    await store.collection("repos").updateOne({ name: "api" }, { $set: { stars: 3 } });
+    const before = fs.readFileSync(file, "utf-8");
+    fs.utimesSync(file, new Date(0), new Date(0));
+    await store.close();
+    expect(fs.statSync(file).mtimeMs).toBe(0);
+    expect(fs.readFileSync(file, "utf-8")).toBe(before);
+  });
+
+  test("changes are written on close", async () => {
+    await store.collection("repos").updateOne({ name: "api" }, { $set: { stars: 9 } });
+    await store.close();
+    const reopened = await new FileStore(file).connect();
+    expect((await reopened.collection("repos").findOne({ name: "api" })).stars).toBe(9);
+    await reopened.close();
+  });
+
+  test("a new store file is created on close", async () => {
+    const fresh = path.join(dir, "fresh.jsonl");
+    await (await new FileStore(fresh).connect()).close();
+    expect(fs.existsSync(fresh)).toBe(true);
+  });
+});
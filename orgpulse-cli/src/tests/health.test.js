@@ -0,0 +1,130 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_HEALTH_WEIGHTS,
+  resolveHealthWeights,
+  scoreRepo,
+  rankRepos,
+} from "../services/health.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALL_FILES = { readme: true, contributing: true, codeOfConduct: true, security: true, issueTemplates: true };
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-health-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeWeights(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function repo(name, fields = {}) {
+  return {
+    name,
+    description: "A repo",
+    license: "MIT License",
+    topics: ["cli"],
+    community: ALL_FILES,
+    pushedAt: new Date(Date.now() - 10 * DAY_MS).toISOString(),
+    openIssues: 3,
+    isArchived: false,
+    ...fields,
+  };
+}
+
+describe("scoreRepo", () => {
+  test("a repo passing every check scores 100 with nothing missing", () => {
+    expect(scoreRepo(repo("api"))).toMatchObject({ name: "api", score: 100, missing: [] });
+  });
+
+  test("failed checks lose their share of the total weight", () => {
+    // license 15 + description 10 of 100
+    const result = scoreRepo(repo("api", { license: null, description: "  " }));
+    expect(result.score).toBe(75);
+    expect(result.missing).toEqual(["description", "license"]);
+    expect(result.checks).toMatchObject({ description: 0, license: 0, topics: 1 });
+  });
+
+  test("activity and backlog give half marks in their middle band", () => {
+    const result = scoreRepo(repo("api", {
+      pushedAt: new Date(Date.now() - 200 * DAY_MS).toISOString(),
+      openIssues: 60,
+    }));
+    expect(result.checks.activity).toBe(0.5);
+    expect(result.checks.openIssues).toBe(0.5);
+    // 15 / 2 + 5 / 2 lost
+    expect(result.score).toBe(90);
+    expect(result.missing).toEqual(["activity (last push 200d ago)", "issue backlog (60 open)"]);
+  });
+
+  test("old pushes, big backlogs and never-pushed repos score 0 on those checks", () => {
+    const old = scoreRepo(repo("api", { pushedAt: new Date(Date.now() - 400 * DAY_MS).toISOString(), openIssues: 101 }));
+    expect(old.checks).toMatchObject({ activity: 0, openIssues: 0 });
+    expect(scoreRepo(repo("api", { pushedAt: null })).missing).toEqual(["never pushed"]);
+  });
+
+  test("missing community files are named, and unfetched ones say so", () => {
+    const partial = scoreRepo(repo("api", { community: { ...ALL_FILES, security: false, issueTemplates: false } }));
+    expect(partial.missing).toEqual(["SECURITY.md", "issue templates"]);
+    expect(partial.score).toBe(85);
+
+    const unfetched = scoreRepo(repo("api", { community: undefined }));
+    expect(unfetched.missing).toContain("README (not fetched yet)");
+    expect(unfetched.score).toBe(55);
+  });
+
+  test("only weighted checks count", () => {
+    const result = scoreRepo(repo("api", { license: null, isArchived: true }), { license: 1, notArchived: 3 });
+    expect(result.score).toBe(0);
+    expect(Object.keys(result.checks)).toEqual(["license", "notArchived"]);
+
+    const offLicense = scoreRepo(repo("api", { license: null }), { ...DEFAULT_HEALTH_WEIGHTS, license: 0 });
+    expect(offLicense.score).toBe(100);
+    expect(offLicense.checks.license).toBeUndefined();
+  });
+});
+
+describe("rankRepos", () => {
+  test("ranks the lowest score first, ties by name", () => {
+    const ranked = rankRepos([
+      repo("web"),
+      repo("cli", { license: null }),
+      repo("api"),
+      repo("docs", { topics: [], description: null }),
+    ], DEFAULT_HEALTH_WEIGHTS);
+    expect(ranked.map((r) => [r.name, r.score])).toEqual([["cli", 85], ["docs", 85], ["api", 100], ["web", 100]]);
+  });
+});
+
+describe("resolveHealthWeights", () => {
+  test("defaults when nothing is configured", () => {
+    expect(resolveHealthWeights()).toEqual(DEFAULT_HEALTH_WEIGHTS);
+  });
+
+  test("a weights file overrides the profile, which overrides the defaults", () => {
+    const file = writeWeights("weights.yml", "security: 20\nlicense: 1\n");
+    const weights = resolveHealthWeights({ security: 30, topics: 0 }, file);
+    expect(weights).toMatchObject({ security: 20, license: 1, topics: 0, readme: 15 });
+  });
+
+  test("reads JSON weights files", () => {
+    const file = writeWeights("weights.json", JSON.stringify({ readme: 40 }));
+    expect(resolveHealthWeights({}, file).readme).toBe(40);
+  });
+
+  test("rejects unknown checks, bad weights and unreadable files", () => {
+    expect(() => resolveHealthWeights({ stars: 5 })).toThrow("Unknown health check 'stars'");
+    expect(() => resolveHealthWeights({ license: -1 })).toThrow("Weight of 'license' must be a number >= 0");
+    expect(() => resolveHealthWeights({ license: "10" })).toThrow("Weight of 'license'");
+    expect(() => resolveHealthWeights({}, writeWeights("bad.json", "{ nope"))).toThrow(/^Invalid weights file/);
+  });
+
+  test("needs at least one check above 0", () => {
+    const off = Object.fromEntries(Object.keys(DEFAULT_HEALTH_WEIGHTS).map((name) => [name, 0]));
+    expect(() => resolveHealthWeights(off)).toThrow("At least one health check needs a weight above 0");
+  });
+});
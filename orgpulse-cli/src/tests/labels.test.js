@@ -0,0 +1,77 @@
+import { labelKey, findNearDuplicates, summarizeLabels } from "../services/labels.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const CREATED = Date.parse("2026-05-01T00:00:00Z");
+
+function issue(repo, labels, closedAfterHours = null) {
+  return {
+    repo,
+    labels,
+    state: closedAfterHours === null ? "open" : "closed",
+    createdAt: new Date(CREATED).toISOString(),
+    closedAt: closedAfterHours === null ? null : new Date(CREATED + closedAfterHours * HOUR_MS).toISOString(),
+  };
+}
+
+describe("labelKey", () => {
+  test("ignores case, emoji and a scope prefix", () => {
+    expect(labelKey("Bug")).toBe("bug");
+    expect(labelKey("🐛 bug")).toBe("bug");
+    expect(labelKey("Type: Bug 🐛")).toBe("bug");
+    expect(labelKey("kind/bug")).toBe("bug");
+  });
+
+  test("normalizes separators and drops a plural s", () => {
+    expect(labelKey("good_first-issue")).toBe("good first issue");
+    expect(labelKey("good first issues")).toBe("good first issue");
+    expect(labelKey("kind/bugs")).toBe("bug");
+  });
+
+  test("only drops a trailing s from names longer than three characters", () => {
+    expect(labelKey("ios")).toBe("ios");
+    expect(labelKey("docs")).toBe("doc");
+  });
+});
+
+describe("findNearDuplicates", () => {
+  test("groups names with the same key, sorted", () => {
+    expect(findNearDuplicates(["type: bug", "enhancement", "Bug", "bug"])).toEqual([["Bug", "bug", "type: bug"]]);
+  });
+
+  test("groups keys one typo apart", () => {
+    expect(findNearDuplicates(["enhancement", "enhancment", "question"])).toEqual([["enhancement", "enhancment"]]);
+  });
+
+  test("does not treat short keys one edit apart as typos", () => {
+    expect(findNearDuplicates(["bug", "bus", "docs", "dock"])).toEqual([]);
+  });
+
+  test("joins chains of typos and keeps separate groups apart", () => {
+    const groups = findNearDuplicates(["feature", "featur", "featre", "wontfix", "wont-fix", "help wanted"]);
+    expect(groups).toEqual([["featre", "featur", "feature"], ["wont-fix", "wontfix"]]);
+  });
+
+  test("returns nothing when every name is distinct", () => {
+    expect(findNearDuplicates(["bug", "question", "security"])).toEqual([]);
+  });
+});
+
+describe("summarizeLabels", () => {
+  test("counts issues, repos and open share per label, busiest first", () => {
+    const summary = summarizeLabels([
+      issue("acme/api", ["bug", "p1"]),
+      issue("acme/web", ["bug"], 10),
+      issue("acme/api", ["bug"], 30),
+      issue("acme/api", ["question"]),
+      issue("acme/api", []),
+    ]);
+    expect(summary.map((l) => l.label)).toEqual(["bug", "p1", "question"]);
+    expect(summary[0]).toMatchObject({ issues: 3, repos: 2, open: 1, closed: 2, openShare: 33.3 });
+    expect(summary[1]).toMatchObject({ issues: 1, repos: 1, open: 1, closed: 0, openShare: 100, medianCloseHours: null });
+  });
+
+  test("takes the median time to close over closed issues", () => {
+    const [bug] = summarizeLabels([issue("acme/api", ["bug"], 10), issue("acme/api", ["bug"], 30), issue("acme/api", ["bug"], 50)]);
+    expect(bug.medianCloseHours).toBe(30);
+  });
+});
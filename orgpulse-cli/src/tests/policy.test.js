@@ -0,0 +1,166 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadPolicy, evaluatePolicy } from "../services/policy.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-policy-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writePolicy(content) {
+  const file = path.join(dir, `policy-${Math.random().toString(36).slice(2)}.yml`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function policyOf(rules, exclude = []) {
+  return loadPolicy(writePolicy(JSON.stringify({ exclude, rules })));
+}
+
+function repo(fields = {}) {
+  return {
+    name: "api",
+    license: "MIT",
+    description: "The API",
+    topics: ["api"],
+    defaultBranch: "main",
+    isArchived: false,
+    pushedAt: new Date().toISOString(),
+    branchProtection: { requiredReviews: 1 },
+    community: { readme: true, contributing: true, codeOfConduct: true, security: true, issueTemplates: true },
+    ...fields,
+  };
+}
+
+describe("loadPolicy", () => {
+  test("fills rule defaults from the type", () => {
+    const policy = loadPolicy(writePolicy(`
+exclude: ["sandbox-*"]
+rules:
+  - type: topics
+  - id: protected
+    type: branchProtection
+    minReviews: 2
+    severity: warning
+    exclude: legacy-*
+`));
+    expect(policy.exclude).toEqual(["sandbox-*"]);
+    expect(policy.rules[0]).toMatchObject({ id: "topics", severity: "error", min: 1, exclude: [] });
+    expect(policy.rules[1]).toMatchObject({ id: "protected", severity: "warning", minReviews: 2, exclude: ["legacy-*"] });
+    expect(policy.rules[1].description).toBe("Default branch protected with >= 2 required review(s)");
+  });
+
+  test.each([
+    ["rules: []", /has no rules/],
+    ["rules:\n  - type: nope", /unknown type 'nope'/],
+    ["rules:\n  - type: license\n    severity: fatal", /severity must be error \| warning/],
+    ["rules:\n  - type: topics\n    min: -1", /'min' must be a number >= 0/],
+    ["rules:\n  - type: defaultBranch\n    name: 3", /'name' must be a string/],
+    ["rules:\n  - type: communityFiles\n    files: [readme, funding]", /unknown file\(s\) funding/],
+    ["rules:\n  - type: license\n  - type: license", /Duplicate rule id 'license'/],
+    ["rules: [", /Cannot read policy/],
+  ])("rejects %j", (content, error) => {
+    expect(() => loadPolicy(writePolicy(content))).toThrow(error);
+  });
+});
+
+describe("evaluatePolicy", () => {
+  test("passes a compliant repo on every rule", () => {
+    const policy = policyOf([
+      { type: "license", allowed: ["MIT"] },
+      { type: "description" },
+      { type: "topics" },
+      { type: "defaultBranch" },
+      { type: "branchProtection" },
+      { type: "inactivity" },
+      { type: "communityFiles" },
+    ]);
+    const results = evaluatePolicy(policy, [repo()]);
+    expect(results).toHaveLength(7);
+    expect(results.every((r) => r.passed && r.message === null && r.severity === "error")).toBe(true);
+  });
+
+  test("reports violations with their messages", () => {
+    const policy = policyOf([
+      { type: "license", allowed: ["MIT"] },
+      { type: "description" },
+      { type: "topics", min: 2 },
+      { type: "defaultBranch", name: "main" },
+      { type: "inactivity", maxDays: 30 },
+      { type: "communityFiles", files: ["readme", "security"] },
+    ]);
+    const results = evaluatePolicy(policy, [repo({
+      license: "GPL-3.0",
+      description: "  ",
+      topics: ["api"],
+      defaultBranch: "master",
+      pushedAt: new Date(Date.now() - 40 * DAY_MS).toISOString(),
+      community: { readme: true, security: false },
+    })]);
+    expect(Object.fromEntries(results.map((r) => [r.rule.id, r.message]))).toEqual({
+      license: "license 'GPL-3.0' is not allowed",
+      description: "no description",
+      topics: "1 topic(s), 2 required",
+      defaultBranch: "default branch is 'master'",
+      inactivity: "no push for 40 days and not archived",
+      communityFiles: "missing security",
+    });
+    expect(results.every((r) => !r.passed)).toBe(true);
+  });
+
+  test("skips excluded repos, per policy and per rule, with wildcards", () => {
+    const policy = policyOf([{ type: "description" }, { type: "topics", exclude: ["legacy-*"] }], ["sandbox-*"]);
+    const results = evaluatePolicy(policy, [repo({ name: "sandbox-x" }), repo({ name: "legacy-app" }), repo({ name: "legacy.app" })]);
+    expect(results.map((r) => `${r.repo.name}:${r.rule.id}`)).toEqual([
+      "legacy-app:description",
+      "legacy.app:description",
+      "legacy.app:topics",
+    ]);
+  });
+
+  test("rules that do not apply produce no result", () => {
+    const policy = policyOf([{ type: "defaultBranch" }, { type: "branchProtection" }, { type: "inactivity" }]);
+    expect(evaluatePolicy(policy, [repo({ defaultBranch: null })]).map((r) => r.rule.id)).toEqual(["inactivity"]);
+    expect(evaluatePolicy(policy, [repo({ isArchived: true })]).map((r) => r.rule.id)).toEqual(["defaultBranch"]);
+  });
+
+  describe("branchProtection", () => {
+    const check = (branchProtection, rule = {}) =>
+      evaluatePolicy(policyOf([{ type: "branchProtection", minReviews: 2, ...rule }]), [repo({ branchProtection })])[0];
+
+    test("enough required reviews passes", () => {
+      expect(check({ requiredReviews: 2 })).toMatchObject({ passed: true, severity: "error" });
+    });
+
+    test("too few reviews or no protection fails at the rule's severity", () => {
+      expect(check({ requiredReviews: 1 })).toMatchObject({ passed: false, message: "'main' requires 1 review(s)", severity: "error" });
+      expect(check(null)).toMatchObject({ passed: false, message: "'main' is not protected", severity: "error" });
+    });
+
+    test("protection never fetched asks for a full fetch", () => {
+      expect(check(undefined)).toMatchObject({ passed: false, message: "branch protection not fetched yet (run fetch --full)" });
+    });
+
+    test("rules the token cannot see are a warning, even for an error rule", () => {
+      expect(check("unknown")).toMatchObject({
+        passed: false,
+        message: "protection rules not visible to this token (needs admin access)",
+        severity: "warning",
+      });
+      expect(check("unknown", { severity: "warning" }).severity).toBe("warning");
+    });
+  });
+
+  test("inactivity flags repos that were never pushed", () => {
+    const [result] = evaluatePolicy(policyOf([{ type: "inactivity" }]), [repo({ pushedAt: null })]);
+    expect(result).toMatchObject({ passed: false, message: "never pushed" });
+  });
+
+  test("community files not fetched yet", () => {
+    const [result] = evaluatePolicy(policyOf([{ type: "communityFiles" }]), [repo({ community: undefined })]);
+    expect(result.message).toBe("community files not fetched yet (run fetch --full)");
+  });
+});
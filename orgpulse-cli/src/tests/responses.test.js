@@ -0,0 +1,110 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { FileStore } from "../storage/fileStore.js";
+import { firstResponses } from "../services/responses.js";
+import { percentile, median, hoursBetween } from "../utils/stats.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-responses-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("percentile", () => {
+  test("uses the nearest rank", () => {
+    const values = [5, 1, 4, 2, 3, 10, 9, 8, 7, 6];
+    expect(percentile(values, 90)).toBe(9);
+    expect(percentile(values, 50)).toBe(5);
+    expect(percentile(values, 100)).toBe(10);
+    expect(percentile(values, 0)).toBe(1);
+  });
+
+  test("ignores missing values and returns null without any", () => {
+    expect(percentile([null, 4, undefined, NaN, 2], 90)).toBe(4);
+    expect(percentile([null, undefined], 50)).toBeNull();
+    expect(percentile([], 90)).toBeNull();
+  });
+
+  test("median of an even count is the lower middle value", () => {
+    expect(median([1, 2, 3, 4])).toBe(2);
+    expect(median([7])).toBe(7);
+  });
+});
+
+describe("hoursBetween", () => {
+  test("returns hours between two timestamps, or null when one is missing or invalid", () => {
+    expect(hoursBetween("2026-06-01T00:00:00Z", "2026-06-02T06:00:00Z")).toBe(30);
+    expect(hoursBetween("2026-06-01T00:00:00Z", null)).toBeNull();
+    expect(hoursBetween("not a date", "2026-06-01T00:00:00Z")).toBeNull();
+  });
+});
+
+describe("firstResponses", () => {
+  let db;
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = await new FileStore(path.join(dir, `store-${Math.random().toString(36).slice(2)}.jsonl`)).connect();
+    await db.collection("members").insertMany([
+      { org: "acme", login: "staff" },
+      { org: "other", login: "outsider" },
+    ]);
+  });
+  afterEach(async () => {
+    await db.close();
+    jest.restoreAllMocks();
+  });
+
+  const issues = [
+    { repo: "acme/api", number: 1, author: "user" },
+    { repo: "acme/api", number: 2, author: "maint" },
+    { repo: "acme/web", number: 1, author: "user" },
+  ];
+  const comment = (repo, issueNumber, author, authorAssociation, createdAt) =>
+    ({ repo, issueNumber, author, authorAssociation, createdAt });
+
+  test("takes the earliest maintainer comment per issue", async () => {
+    await db.collection("issue_comments").insertMany([
+      comment("acme/api", 1, "maint", "member", "2026-06-03T00:00:00Z"),
+      comment("acme/api", 1, "owner", "owner", "2026-06-02T00:00:00Z"),
+      comment("acme/web", 1, "collab", "collaborator", "2026-06-04T00:00:00Z"),
+    ]);
+    const { first, hasComments } = await firstResponses(db, "acme", {}, issues);
+    expect(hasComments).toBe(true);
+    expect(first).toEqual({ "acme/api#1": "2026-06-02T00:00:00Z", "acme/web#1": "2026-06-04T00:00:00Z" });
+  });
+
+  test("skips outside contributors and the issue author's own comments", async () => {
+    await db.collection("issue_comments").insertMany([
+      comment("acme/api", 1, "someone", "contributor", "2026-06-02T00:00:00Z"),
+      comment("acme/api", 1, "user", "none", "2026-06-02T00:00:00Z"),
+      comment("acme/api", 2, "maint", "member", "2026-06-02T00:00:00Z"),
+      comment("acme/api", 1, "outsider", "none", "2026-06-02T00:00:00Z"),
+    ]);
+    const { first, hasComments } = await firstResponses(db, "acme", {}, issues);
+    expect(hasComments).toBe(true);
+    expect(first).toEqual({});
+  });
+
+  test("counts stored org members whatever their association", async () => {
+    await db.collection("issue_comments").insertOne(comment("acme/api", 1, "staff", "none", "2026-06-05T00:00:00Z"));
+    const { first } = await firstResponses(db, "acme", {}, issues);
+    expect(first).toEqual({ "acme/api#1": "2026-06-05T00:00:00Z" });
+  });
+
+  test("ignores comments on issues outside the list and repos outside the query", async () => {
+    await db.collection("issue_comments").insertMany([
+      comment("acme/api", 9, "owner", "owner", "2026-06-02T00:00:00Z"),
+      comment("acme/web", 1, "owner", "owner", "2026-06-02T00:00:00Z"),
+    ]);
+    const { first, hasComments } = await firstResponses(db, "acme", { repo: "acme/api" }, issues);
+    expect(first).toEqual({});
+    expect(hasComments).toBe(true);
+  });
+
+  test("reports when no comments are stored", async () => {
+    const { first, hasComments } = await firstResponses(db, "acme", {}, issues);
+    expect(first).toEqual({});
+    expect(hasComments).toBe(false);
+  });
+});
@@ -0,0 +1,139 @@
+import { tokenize, tfidfVectors, similarPairs, clusterPairs } from "../services/similarity.js";
+
+describe("tokenize", () => {
+  test("lowercases, drops stopwords, numbers and single characters", () => {
+    expect(tokenize("The App CRASH on startup in v2 with 404 x")).toEqual(["app", "crash", "startup", "v2"]);
+  });
+
+  test("stems common suffixes so word forms meet", () => {
+    expect(tokenize("crashes crashed crashing")).toEqual(["crash", "crash", "crash"]);
+    expect(tokenize("builds loading fixed")).toEqual(["build", "load", "fix"]);
+  });
+
+  test("keeps short words and double-s endings intact", () => {
+    expect(tokenize("bus class ring red")).toEqual(["bus", "class", "ring", "red"]);
+  });
+
+  test("skips fenced code blocks and trims quotes", () => {
+    expect(tokenize("login fails ```const error = 1``` 'timeout'")).toEqual(["login", "fail", "timeout"]);
+  });
+
+  test("handles empty and missing text", () => {
+    expect(tokenize("")).toEqual([]);
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test("keeps non-latin letters", () => {
+    expect(tokenize("Fehler beim Öffnen")).toEqual(["fehler", "beim", "öffnen"]);
+  });
+});
+
+describe("tfidfVectors", () => {
+  test("vectors have unit length", () => {
+    const { vectors } = tfidfVectors([{ title: "memory leak in parser" }, { title: "parser crash" }]);
+    vectors.forEach((v) => {
+      const norm = Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+      expect(norm).toBeCloseTo(1);
+    });
+  });
+
+  test("counts document frequency once per document", () => {
+    const { df } = tfidfVectors([{ title: "parser parser", body: "parser" }, { title: "parser crash" }]);
+    expect(df.get("parser")).toBe(2);
+    expect(df.get("crash")).toBe(1);
+  });
+
+  test("body terms weigh less than title terms", () => {
+    const { vectors } = tfidfVectors([{ title: "timeout", body: "websocket" }, { title: "other" }, { title: "timeout websocket" }]);
+    expect(vectors[0].get("timeout")).toBeGreaterThan(vectors[0].get("websocket"));
+  });
+
+  test("a document without terms gets an empty vector", () => {
+    const { vectors } = tfidfVectors([{ title: "the and of" }, { title: "real words" }]);
+    expect(vectors[0].size).toBe(0);
+  });
+});
+
+describe("similarPairs", () => {
+  const docs = [
+    { title: "App crashes when uploading large files" },
+    { title: "Crash while uploading a large file" },
+    { title: "Add dark mode to settings page" },
+    { title: "Dark mode for the settings page" },
+    { title: "Improve documentation of the CLI" },
+  ];
+
+  test("pairs documents about the same thing, best first", () => {
+    const pairs = similarPairs(docs, 0.5);
+    expect(pairs.map(({ a, b }) => [a, b])).toEqual(expect.arrayContaining([[0, 1], [2, 3]]));
+    expect(pairs.every(({ score }) => score >= 0.5 && score <= 1)).toBe(true);
+    expect(pairs.map((p) => p.score)).toEqual([...pairs.map((p) => p.score)].sort((x, y) => y - x));
+    expect(pairs.some(({ a, b }) => a === 4 || b === 4)).toBe(false);
+  });
+
+  test("identical documents score 1 and each pair is listed once", () => {
+    const pairs = similarPairs([{ title: "flaky test on windows" }, { title: "flaky test on windows" }], 0.9);
+    expect(pairs).toEqual([{ a: 0, b: 1, score: expect.closeTo(1, 5) }]);
+  });
+
+  test("the threshold drops weaker pairs", () => {
+    const all = similarPairs(docs, 0.01);
+    const strict = similarPairs(docs, 0.99);
+    expect(all.length).toBeGreaterThan(strict.length);
+    expect(strict).toEqual([]);
+  });
+
+  test("accept can veto pairs, e.g. same-repo ones", () => {
+    const pairs = similarPairs(docs, 0.5, (a, b) => !(a === 0 && b === 1));
+    expect(pairs.map(({ a, b }) => [a, b])).not.toContainEqual([0, 1]);
+    expect(pairs.map(({ a, b }) => [a, b])).toContainEqual([2, 3]);
+  });
+
+  test("documents sharing only very common terms are not compared", () => {
+    const common = Array.from({ length: 300 }, (_, i) => ({ title: `release ${["alpha", "beta", "gamma"][i % 3]}${i}` }));
+    const pairs = similarPairs(common, 0.01);
+    expect(pairs).toEqual([]);
+  });
+
+  test("fewer than two documents give no pairs", () => {
+    expect(similarPairs([], 0.5)).toEqual([]);
+    expect(similarPairs([{ title: "only one" }], 0.5)).toEqual([]);
+  });
+});
+
+describe("clusterPairs", () => {
+  test("joins linked pairs into one cluster with its weakest link as score", () => {
+    const clusters = clusterPairs([{ a: 0, b: 1, score: 0.9 }, { a: 1, b: 2, score: 0.7 }, { a: 5, b: 6, score: 0.8 }], 10);
+    expect(clusters).toEqual([
+      { score: 0.8, members: [{ index: 5, score: 0.8 }, { index: 6, score: 0.8 }] },
+      {
+        score: 0.7,
+        members: [{ index: 0, score: 0.9 }, { index: 1, score: 0.9 }, { index: 2, score: 0.7 }],
+      },
+    ]);
+  });
+
+  test("a pair that would grow a cluster past maxSize is left out", () => {
+    const pairs = [{ a: 0, b: 1, score: 0.9 }, { a: 1, b: 2, score: 0.8 }, { a: 2, b: 3, score: 0.7 }];
+    const clusters = clusterPairs(pairs, 2);
+    expect(clusters.map((c) => c.members.map((m) => m.index).sort())).toEqual([[0, 1], [2, 3]]);
+  });
+
+  test("merging two clusters respects maxSize on their combined size", () => {
+    const pairs = [{ a: 0, b: 1, score: 0.9 }, { a: 2, b: 3, score: 0.85 }, { a: 1, b: 2, score: 0.8 }];
+    expect(clusterPairs(pairs, 3)).toHaveLength(2);
+    expect(clusterPairs(pairs, 4)).toHaveLength(1);
+  });
+
+  test("pairs inside an existing cluster only raise member scores", () => {
+    const pairs = [{ a: 0, b: 1, score: 0.7 }, { a: 1, b: 2, score: 0.6 }, { a: 0, b: 2, score: 0.65 }];
+    const [cluster] = clusterPairs(pairs, 10);
+    expect(cluster.score).toBe(0.6);
+    expect(cluster.members.find((m) => m.index === 2).score).toBe(0.65);
+  });
+
+  test("no pairs, no clusters", () => {
+    expect(clusterPairs([], 10)).toEqual([]);
+  });
+});
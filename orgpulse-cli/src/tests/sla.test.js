@@ -0,0 +1,138 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadSlaPolicy, evaluateSla } from "../services/sla.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-sla-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writePolicy(content) {
+  const file = path.join(dir, `sla-${Math.random().toString(36).slice(2)}.yml`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function policyOf(slas, extra = {}) {
+  return loadSlaPolicy(writePolicy(JSON.stringify({ slas, ...extra })));
+}
+
+function issue(number, ageHours, labels = [], fields = {}) {
+  return {
+    repo: "acme/api",
+    number,
+    title: `Issue ${number}`,
+    state: "open",
+    labels,
+    createdAt: new Date(NOW - ageHours * HOUR_MS).toISOString(),
+    ...fields,
+  };
+}
+
+describe("loadSlaPolicy", () => {
+  test("parses durations in hours, days, weeks and plain days", () => {
+    const policy = loadSlaPolicy(writePolicy(`
+slas:
+  - label: bug
+    respondWithin: 48h
+    closeWithin: 2w
+  - label: docs
+    closeWithin: 30
+  - label: question
+    respondWithin: 1.5d
+`));
+    expect(policy.warnAt).toBe(0.8);
+    expect(policy.maxBreaches).toBe(0);
+    expect(policy.slas).toEqual([
+      { label: "bug", respondHours: 48, closeHours: 336 },
+      { label: "docs", respondHours: null, closeHours: 720 },
+      { label: "question", respondHours: 36, closeHours: null },
+    ]);
+  });
+
+  test.each([
+    ["slas: []", /has no slas/],
+    ["warnAt: 1.5\nslas:\n  - { label: bug, closeWithin: 3d }", /warnAt must be between 0 and 1/],
+    ["warnAt: 0\nslas:\n  - { label: bug, closeWithin: 3d }", /warnAt must be between 0 and 1/],
+    ["maxBreaches: -1\nslas:\n  - { label: bug, closeWithin: 3d }", /maxBreaches must be an integer >= 0/],
+    ["slas:\n  - { closeWithin: 3d }", /'label' is required/],
+    ["slas:\n  - { label: bug }", /set respondWithin and\/or closeWithin/],
+    ["slas:\n  - { label: bug, closeWithin: 3m }", /closeWithin: expected a duration/],
+    ["slas:\n  - { label: bug, closeWithin: 0 }", /closeWithin: expected a duration/],
+    ["slas:\n  - { label: bug, respondWithin: 0h }", /respondWithin: expected a duration/],
+    ["slas:\n  - { label: Bug, closeWithin: 3d }\n  - { label: bug, closeWithin: 5d }", /Duplicate SLA for label 'bug'/],
+    ["slas: [", /Cannot read SLA policy/],
+  ])("rejects %j", (content, error) => {
+    expect(() => loadSlaPolicy(writePolicy(content))).toThrow(error);
+  });
+});
+
+describe("evaluateSla", () => {
+  const policy = policyOf([{ label: "bug", respondWithin: "10h", closeWithin: "100h" }]);
+
+  test("issues well within their SLA produce no finding", () => {
+    expect(evaluateSla(policy, [issue(1, 5, ["bug"])], {}, NOW)).toEqual([]);
+  });
+
+  test("an issue past warnAt of a deadline is at risk, past the deadline breached", () => {
+    const [atRisk] = evaluateSla(policy, [issue(1, 9, ["bug"])], {}, NOW);
+    expect(atRisk).toMatchObject({ label: "bug", status: "at-risk", reasons: ["no response for 9h (SLA 10h)"] });
+    expect(atRisk.ageHours).toBeCloseTo(9);
+
+    const [breached] = evaluateSla(policy, [issue(2, 11, ["bug"])], {}, NOW);
+    expect(breached).toMatchObject({ status: "breached", reasons: ["no response for 11h (SLA 10h)"] });
+  });
+
+  test("exactly at the deadline or at the warnAt share is not yet flagged", () => {
+    expect(evaluateSla(policy, [issue(1, 8, ["bug"]), issue(2, 10, ["bug"])], {}, NOW).map((f) => f.status)).toEqual(["at-risk"]);
+  });
+
+  test("a breached deadline wins over an at-risk one and both are reported", () => {
+    const [finding] = evaluateSla(policy, [issue(1, 90, ["bug"])], {}, NOW);
+    expect(finding.status).toBe("breached");
+    expect(finding.reasons).toEqual(["no response for 4d (SLA 10h)", "open for 4d (SLA 4d)"]);
+  });
+
+  test("a recorded response satisfies respondWithin", () => {
+    const responses = { "acme/api#1": { at: "2026-06-01T00:00:00Z" } };
+    expect(evaluateSla(policy, [issue(1, 50, ["bug"])], responses, NOW)).toEqual([]);
+  });
+
+  test("respondWithin is skipped when responses are unknown", () => {
+    expect(evaluateSla(policy, [issue(1, 50, ["bug"])], null, NOW)).toEqual([]);
+    expect(evaluateSla(policy, [issue(2, 101, ["bug"])], null, NOW)[0].reasons).toEqual(["open for 4d (SLA 4d)"]);
+  });
+
+  test("closed issues and unlabelled issues without a catch-all are ignored", () => {
+    const issues = [issue(1, 500, ["bug"], { state: "closed" }), issue(2, 500, ["docs"]), issue(3, 500)];
+    expect(evaluateSla(policy, issues, {}, NOW)).toEqual([]);
+  });
+
+  test("labels match case-insensitively; each matching SLA gives its own finding", () => {
+    const twoSlas = policyOf([
+      { label: "bug", closeWithin: "10h" },
+      { label: "Security", closeWithin: "5h" },
+    ]);
+    const findings = evaluateSla(twoSlas, [issue(1, 20, ["BUG", "security"])], null, NOW);
+    expect(findings.map((f) => f.label)).toEqual(["bug", "Security"]);
+  });
+
+  test("the catch-all SLA applies only to issues no other SLA covers", () => {
+    const withCatchAll = policyOf([
+      { label: "bug", closeWithin: "100h" },
+      { label: "*", closeWithin: "10h" },
+    ]);
+    const findings = evaluateSla(withCatchAll, [issue(1, 20, ["bug"]), issue(2, 20, ["docs"]), issue(3, 20)], null, NOW);
+    expect(findings.map((f) => [f.issue.number, f.label])).toEqual([[2, "*"], [3, "*"]]);
+  });
+
+  test("warnAt from the policy moves the at-risk threshold", () => {
+    const strict = policyOf([{ label: "bug", closeWithin: "10h" }], { warnAt: 0.5 });
+    expect(evaluateSla(strict, [issue(1, 6, ["bug"])], null, NOW)[0].status).toBe("at-risk");
+    expect(evaluateSla(strict, [issue(2, 4, ["bug"])], null, NOW)).toEqual([]);
+  });
+});
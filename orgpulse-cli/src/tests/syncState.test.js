@@ -0,0 +1,106 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import { FileStore } from "../storage/fileStore.js";
+import { SyncState } from "../db/syncState.js";
+
+const STARTED_AT = new Date("2026-06-01T12:00:00Z");
+const STORED_AT = "2026-05-20T08:00:00.000Z";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orgpulse-sync-"));
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let db;
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  db = await new FileStore(path.join(dir, `store-${Math.random().toString(36).slice(2)}.jsonl`)).connect();
+  await db.collection("sync_state").insertMany([
+    { org: "acme", repo: null, reposSyncedAt: STORED_AT },
+    { org: "acme", repo: "api", issuesSyncedAt: STORED_AT },
+    { org: "other", repo: "api", issuesSyncedAt: "2026-01-01T00:00:00.000Z" },
+  ]);
+});
+afterEach(async () => {
+  await db.close();
+  jest.restoreAllMocks();
+});
+
+const load = (opts = {}) => SyncState.load(db, "acme", { startedAt: STARTED_AT, ...opts });
+
+describe("SyncState.watermark", () => {
+  test("returns the stored org and repo watermarks of the org", async () => {
+    const sync = await load();
+    expect(sync.watermark("reposSyncedAt")).toEqual(new Date(STORED_AT));
+    expect(sync.watermark("issuesSyncedAt", "api")).toEqual(new Date(STORED_AT));
+  });
+
+  test("returns null for fields and repos without a watermark", async () => {
+    const sync = await load();
+    expect(sync.watermark("pullRequestsSyncedAt", "api")).toBeNull();
+    expect(sync.watermark("issuesSyncedAt", "web")).toBeNull();
+    expect(sync.watermark("issuesSyncedAt")).toBeNull();
+  });
+
+  test("--since overrides every watermark", async () => {
+    const sync = await load({ since: "2026-03-01" });
+    expect(sync.watermark("issuesSyncedAt", "api")).toEqual(new Date("2026-03-01"));
+    expect(sync.watermark("commitsSyncedAt", "web")).toEqual(new Date("2026-03-01"));
+  });
+
+  test("--full ignores watermarks, even with --since", async () => {
+    const sync = await load({ full: true, since: "2026-03-01" });
+    expect(sync.watermark("reposSyncedAt")).toBeNull();
+    expect(sync.watermark("issuesSyncedAt", "api")).toBeNull();
+  });
+});
+
+describe("SyncState.mark", () => {
+  const stored = (repo) => db.collection("sync_state").findOne({ org: "acme", repo });
+
+  test("advances a watermark to the run start by default", async () => {
+    const sync = await load();
+    await sync.mark("issuesSyncedAt", "api");
+    expect(new Date((await stored("api")).issuesSyncedAt)).toEqual(STARTED_AT);
+    expect(await db.collection("sync_state").countDocuments({ org: "acme", repo: "api" })).toBe(1);
+  });
+
+  test("creates the repo document and keeps the other fields", async () => {
+    const sync = await load();
+    await sync.mark("commitsSyncedAt", "web", new Date("2026-05-31T00:00:00Z"));
+    await sync.mark("pullRequestsSyncedAt", "api");
+    expect(new Date((await stored("web")).commitsSyncedAt)).toEqual(new Date("2026-05-31T00:00:00Z"));
+    const api = await stored("api");
+    expect(api.issuesSyncedAt).toBe(STORED_AT);
+    expect(new Date(api.pullRequestsSyncedAt)).toEqual(STARTED_AT);
+  });
+
+  test("writes the org-level document for repo null", async () => {
+    const sync = await load();
+    await sync.mark("reposSyncedAt");
+    expect(new Date((await stored(null)).reposSyncedAt)).toEqual(STARTED_AT);
+  });
+
+  test("leaves watermarks untouched under --since", async () => {
+    const sync = await load({ since: "2026-03-01" });
+    await sync.mark("issuesSyncedAt", "api");
+    await sync.mark("commitsSyncedAt", "web");
+    expect((await stored("api")).issuesSyncedAt).toBe(STORED_AT);
+    expect(await stored("web")).toBeNull();
+  });
+
+  test("--full writes fresh watermarks", async () => {
+    const sync = await load({ full: true });
+    await sync.mark("issuesSyncedAt", "api");
+    expect(new Date((await stored("api")).issuesSyncedAt)).toEqual(STARTED_AT);
+  });
+
+  test("does not touch other orgs", async () => {
+    const sync = await load();
+    await sync.mark("issuesSyncedAt", "api");
+    const other = await db.collection("sync_state").findOne({ org: "other", repo: "api" });
+    expect(other.issuesSyncedAt).toBe("2026-01-01T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,79 @@
+// src/utils/ciReports.js
+
+/**
+ * CI report formats for check results. A result is
+ *   { rule: { id, description, severity }, repo: { org, name }, passed, message, severity, failing }
+ * where `severity` is the result's own (a rule can report some results lower) and `failing` says whether the result fails the build (warnings may not).
+ */
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// One <testsuite> per rule, one <testcase> per repo it applies to
+export function toJUnit(suiteName, rules, results) {
+  const suites = rules.map((rule) => {
+    const cases = results.filter((r) => r.rule.id === rule.id);
+    const failures = cases.filter((r) => r.failing).length;
+    const body = cases
+      .map((r) => {
+        const attrs = `name="${escapeXml(`${r.repo.org}/${r.repo.name}`)}" classname="${escapeXml(rule.id)}"`;
+        if (r.passed) return `    <testcase ${attrs}/>`;
+        if (!r.failing) return `    <testcase ${attrs}>\n      <system-out>${escapeXml(`${r.severity}: ${r.message}`)}</system-out>\n    </testcase>`;
+        return `    <testcase ${attrs}>\n      <failure type="${escapeXml(r.severity)}" message="${escapeXml(r.message)}">${escapeXml(rule.description)}</failure>\n    </testcase>`;
+      })
+      .join("\n");
+    return `  <testsuite name="${escapeXml(rule.id)}" tests="${cases.length}" failures="${failures}" errors="0">\n${body}\n  </testsuite>`;
+  });
+
+  const tests = results.length;
+  const failures = results.filter((r) => r.failing).length;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(suiteName)}" tests="${tests}" failures="${failures}" errors="0">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+// SARIF 2.1.0 log: each violation is a result located at the repository URL
+export function toSarif(toolName, version, rules, results, repoUrl) {
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: toolName,
+            version,
+            rules: rules.map((rule) => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: rule.severity },
+            })),
+          },
+        },
+        results: results
+          .filter((r) => !r.passed)
+          .map((r) => ({
+            ruleId: r.rule.id,
+            ruleIndex: rules.findIndex((rule) => rule.id === r.rule.id),
+            level: r.severity,
+            message: { text: `${r.repo.org}/${r.repo.name}: ${r.message}` },
+            locations: [
+              {
+                physicalLocation: { artifactLocation: { uri: repoUrl(r.repo) } },
+                logicalLocations: [{ fullyQualifiedName: `${r.repo.org}/${r.repo.name}`, kind: "module" }],
+              },
+            ],
+          })),
+      },
+    ],
+  };
+  return JSON.stringify(log, null, 2);
+}
@@ -0,0 +1,187 @@
+// src/utils/config.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import YAML from "yaml";
+
+const CONFIG_NAMES = [".orgpulserc", ".orgpulserc.json", ".orgpulserc.yml", ".orgpulserc.yaml"];
+const DEFAULT_PROFILE = "default";
+
+// Keys a profile may hold, with how `config set` parses their values
+export const PROFILE_KEYS = {
+  store: "string",
+  cache: "string",
+  redisUrl: "string",
+  githubToken: "string",
+  githubTokens: "list",
+  githubAppId: "string",
+  githubAppPrivateKey: "string",
+  githubAppInstallationId: "string",
+  githubApiUrl: "string",
+  githubGraphqlUrl: "string",
+  githubCaCerts: "list",
+  mongoUri: "string",
+  mongoOptions: "json",
+  dbName: "string",
+  orgs: "list",
+  concurrency: "number",
+  maxPages: "number",
+  outputFormat: "string",
+  outputDir: "string",
+  healthWeights: "json"
+};
+
+const DEFAULTS = {
+  githubTokens: [],
+  store: "mongo",
+  cache: "store",
+  redisUrl: "redis://localhost:6379",
+  dbName: "orgpulse",
+  orgs: [],
+  concurrency: 3,
+  maxPages: 5,
+  outputFormat: null,
+  outputDir: null
+};
+
+let selectedProfile = null;
+let cachedSettings = null;
+
+function isYaml(file, raw) {
+  if (/\.ya?ml$/.test(file)) return true;
+  if (file.endsWith(".json")) return false;
+  return !raw.trim().startsWith("{");
+}
+
+export function findConfigFile() {
+  for (const dir of [process.cwd(), os.homedir()]) {
+    for (const name of CONFIG_NAMES) {
+      const file = path.join(dir, name);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read `.orgpulserc` (JSON or YAML) from the current directory or the home directory.
+ * Returns an empty config pointing at `~/.orgpulserc` when none exists yet.
+ */
+export function loadConfig() {
+  const file = findConfigFile();
+  if (!file) {
+    return { file: path.join(os.homedir(), ".orgpulserc"), yaml: false, current: DEFAULT_PROFILE, profiles: {} };
+  }
+
+  const raw = fs.readFileSync(file, "utf-8");
+  const yaml = isYaml(file, raw);
+  let data;
+  try {
+    data = (yaml ? YAML.parse(raw) : JSON.parse(raw)) || {};
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+
+  return {
+    file,
+    yaml,
+    current: data.current || DEFAULT_PROFILE,
+    profiles: data.profiles || {}
+  };
+}
+
+export function saveConfig(config) {
+  const data = { current: config.current, profiles: config.profiles };
+  const content = config.yaml ? YAML.stringify(data) : JSON.stringify(data, null, 2) + "\n";
+  fs.writeFileSync(config.file, content, { mode: 0o600 });
+  cachedSettings = null;
+}
+
+// Called from the global --profile flag before any command runs
+export function selectProfile(name) {
+  if (!name) return;
+  const config = loadConfig();
+  if (!config.profiles[name]) {
+    throw new Error(`Profile '${name}' not found in ${config.file}`);
+  }
+  selectedProfile = name;
+  cachedSettings = null;
+}
+
+export function activeProfileName(config = loadConfig()) {
+  return selectedProfile || config.current;
+}
+
+function envMongoOptions() {
+  if (!process.env.MONGO_OPTIONS) return undefined;
+  try {
+    return JSON.parse(process.env.MONGO_OPTIONS);
+  } catch (err) {
+    throw new Error(`Invalid MONGO_OPTIONS environment variable (expected a JSON object): ${err.message}`);
+  }
+}
+
+/**
+ * Resolved settings for the active profile. Profile values win over
+ * environment variables (.env), which win over the built-in defaults.
+ * Read once per process; selecting a profile or saving the config re-reads it.
+ */
+export function getSettings() {
+  if (!cachedSettings) cachedSettings = resolveSettings();
+  return cachedSettings;
+}
+
+function resolveSettings() {
+  const config = loadConfig();
+  const profile = config.profiles[activeProfileName(config)] || {};
+  const pick = (key, envValue) => profile[key] ?? envValue ?? DEFAULTS[key];
+
+  return {
+    profile: activeProfileName(config),
+    store: pick("store", process.env.ORGPULSE_STORE),
+    cache: pick("cache", process.env.ORGPULSE_CACHE),
+    redisUrl: pick("redisUrl", process.env.REDIS_URL),
+    githubToken: pick("githubToken", process.env.GITHUB_TOKEN),
+    githubTokens: [].concat(pick("githubTokens", process.env.GITHUB_TOKENS?.split(","))),
+    githubAppId: pick("githubAppId", process.env.GITHUB_APP_ID),
+    githubAppPrivateKey: pick("githubAppPrivateKey", process.env.GITHUB_APP_PRIVATE_KEY),
+    githubAppInstallationId: pick("githubAppInstallationId", process.env.GITHUB_APP_INSTALLATION_ID),
+    githubApiUrl: pick("githubApiUrl", process.env.GITHUB_API_URL),
+    githubGraphqlUrl: pick("githubGraphqlUrl", process.env.GITHUB_GRAPHQL_URL),
+    githubCaCerts: pick("githubCaCerts", process.env.GITHUB_CA_CERTS?.split(",")),
+    mongoUri: pick("mongoUri", process.env.MONGO_URI),
+    mongoOptions: profile.mongoOptions ?? envMongoOptions() ?? {},
+    dbName: pick("dbName", process.env.MONGO_DB),
+    orgs: [].concat(pick("orgs")),
+    concurrency: pick("concurrency"),
+    maxPages: pick("maxPages"),
+    outputFormat: pick("outputFormat"),
+    outputDir: pick("outputDir"),
+    healthWeights: pick("healthWeights") || {}
+  };
+}
+
+// Fall back to the profile's first default org when none is given on the command line
+export function resolveOrg(org) {
+  if (org) return org;
+  const [fallback] = getSettings().orgs;
+  if (!fallback) {
+    throw new Error("No org given. Pass --org <org> or set default orgs with: orgpulse config set orgs <org>");
+  }
+  return fallback;
+}
+
+export function parseProfileValue(key, value) {
+  const type = PROFILE_KEYS[key];
+  if (!type) {
+    throw new Error(`Unknown config key '${key}'. Valid keys: ${Object.keys(PROFILE_KEYS).join(", ")}`);
+  }
+  if (type === "number") {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`'${key}' must be a positive integer`);
+    return n;
+  }
+  if (type === "list") return value.split(",").map(v => v.trim()).filter(Boolean);
+  if (type === "json") return JSON.parse(value);
+  return value;
+}
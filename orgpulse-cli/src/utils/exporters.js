@@ -0,0 +1,82 @@
+// src/utils/exporters.js
+import fs from "fs";
+
+export const EXPORT_FORMATS = ["json", "csv", "md", "html"];
+const EXTENSIONS = { json: ".json", csv: ".csv", md: ".md", html: ".html" };
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map((row) => row.map((v) => `"${String(v ?? "").replace(/"/g, '""')}"`).join(","))
+    .join("\n");
+}
+
+export function toMarkdown(title, headers, rows) {
+  let md = `# ${title}\n\n`;
+  md += `| ${headers.join(" | ")} |\n`;
+  md += `|${headers.map(() => "------").join("|")}|\n`;
+  rows.forEach((row) => {
+    md += `| ${row.map((v) => v ?? "").join(" | ")} |\n`;
+  });
+  return md;
+}
+
+// Same look as the `report` HTML export
+export function toHtml(title, headers, rows) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 20px; background: #f9f9f9; }
+  h1 { color: #333; }
+  table { border-collapse: collapse; width: 100%; background: white; }
+  th, td { border: 1px solid #ccc; padding: 8px 12px; text-align: left; }
+  th { background: #0366d6; color: white; }
+  tr:nth-child(even) { background: #f2f2f2; }
+  tr:hover { background: #dbe9ff; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+  <thead>
+    <tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>
+  </thead>
+  <tbody>
+    ${rows.map((row) => `<tr>${row.map((v) => `<td>${escapeHtml(v)}</td>`).join("")}</tr>`).join("\n    ")}
+  </tbody>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Write a tabular export. `data` is what the json format serializes;
+ * `headers`/`rows` feed the csv, md and html formats.
+ * Returns the path written (with the format's extension appended if missing).
+ */
+export function writeExport(format, output, { title, headers, rows, data }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format '${format}'. Use ${EXPORT_FORMATS.join(" | ")}`);
+  }
+  const file = output.endsWith(EXTENSIONS[format]) ? output : output + EXTENSIONS[format];
+
+  let content;
+  if (format === "json") content = JSON.stringify(data, null, 2);
+  else if (format === "csv") content = toCsv(headers, rows);
+  else if (format === "md") content = toMarkdown(title, headers, rows);
+  else content = toHtml(title, headers, rows);
+
+  fs.writeFileSync(file, content);
+  return file;
+}
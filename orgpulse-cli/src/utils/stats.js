@@ -0,0 +1,37 @@
+// src/utils/stats.js
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Nearest-rank percentile over a list of numbers (nulls are ignored)
+export function percentile(values, p) {
+  const sorted = values.filter(v => v !== null && v !== undefined && !Number.isNaN(v)).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export function median(values) {
+  return percentile(values, 50);
+}
+
+// Difference between two timestamps in hours, or null if either is missing
+export function hoursBetween(start, end) {
+  if (!start || !end) return null;
+  const diff = new Date(end).getTime() - new Date(start).getTime();
+  return Number.isNaN(diff) ? null : diff / HOUR_MS;
+}
+
+// Format a duration in hours as "3.5h" or "2.1d"
+export function formatHours(hours) {
+  if (hours === null || hours === undefined) return "-";
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
+// Monday (UTC) of the week containing the given date, as YYYY-MM-DD
+export function weekStart(date) {
+  const d = new Date(date);
+  const day = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - day);
+  return d.toISOString().slice(0, 10);
+}